@@ -0,0 +1,107 @@
+'use strict';
+
+const DataFrame = require('./DataFrame.js');
+
+
+/**
+* Chunked reader of a CSV file, returned by `Kiwis.streamCSV()`;
+* iterating over it asynchronously yields DataFrames of at most `chunkSize` rows
+* @class
+* @example
+* for await (const chunk of kw.streamCSV('hugeData.csv', { chunkSize: 50000 })) {
+*   chunk.filter(row => row.country === 'France').toCSV(...);
+* }
+*/
+
+class CSVStream {
+
+	/**
+	* @constructor
+	* @hideconstructor
+	* @param {string} path Path of the file to read
+	* @param {Object} options Options of `Kiwis.streamCSV()`
+	*/
+	constructor(path, options) {
+		this._path = path;
+		this._options = options;
+	}
+
+	async *[Symbol.asyncIterator]() {
+		const chunkSize = this._options.chunkSize || 10000;
+		const { dtype, dateFormat } = this._options;
+
+		let columns;
+		let rows = [];
+		for await (const records of this._records()) {
+			for (const record of records) {
+				if (columns === undefined) {
+					const kw = require('./Kiwis.js');
+					columns = kw._prettifyColumns(record, this._options.prettify || 'none');
+					continue;
+				}
+				const row = {};
+				columns.forEach((column, index) => row[column] = record[index]);
+				rows.push(row);
+				if (rows.length === chunkSize) {
+					yield CSVStream._toDataFrame(rows, columns, { dtype, dateFormat });
+					rows = [];
+				}
+			}
+		}
+		if (rows.length > 0)
+			yield CSVStream._toDataFrame(rows, columns, { dtype, dateFormat });
+	}
+
+	/**
+	* Returns an asynchronous iterator over the rows of the file, typed as in the DataFrames
+	* @returns {AsyncIterable.<Object>}
+	* @example
+	* for await (const row of kw.streamCSV('hugeData.csv').rows()) {
+	*   console.log(row);
+	* }
+	*/
+	async *rows() {
+		for await (const df of this)
+			yield* df.toArray();
+	}
+
+	// Yields the complete records read so far, as arrays of fields
+	async *_records() {
+		const kw = require('./Kiwis.js');
+		const delimiter = this._options.delimiter || ',';
+		const quote = this._options.quote || '"';
+		const stream = eval('require')('fs').createReadStream(this._path, {
+			encoding: this._options.encoding || 'utf8'
+		});
+
+		let buffer = '';
+		let inQuotes = false;
+		for await (const text of stream) {
+			// Only line breaks outside quoted fields end records
+			let end = -1;
+			for (let index = buffer.length; index < buffer.length + text.length; index++) {
+				const char = text[index - buffer.length];
+				if (char === quote) inQuotes = !inQuotes;
+				else if (char === '\n' && !inQuotes) end = index;
+			}
+			buffer += text;
+			if (end >= 0) {
+				yield kw._parseRows(buffer.slice(0, end), { delimiter, quote });
+				buffer = buffer.slice(end + 1);
+			}
+		}
+		// Blank lines are skipped by the parser
+		if (buffer.trim() !== '')
+			yield kw._parseRows(buffer, { delimiter, quote });
+	}
+
+	static _toDataFrame(rows, columns, options) {
+		const Kiwis = require('./Kiwis.js');
+		const df = new DataFrame(rows, { ...options, dtype: Kiwis._dateDTypes(rows, columns, options) });
+		df.columns = columns;
+		return df;
+	}
+
+}
+
+module.exports = CSVStream;
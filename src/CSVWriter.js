@@ -0,0 +1,90 @@
+'use strict';
+
+const DataFrame = require('./DataFrame.js');
+
+
+/**
+* Incremental writer of a CSV file, returned by `Kiwis.createCSVWriter()`;
+* the header is written with the first rows, following rows being written with the same columns
+* unless the `columns` option is set
+* @class
+* @example
+* const writer = kw.createCSVWriter('results.csv');
+* for await (const chunk of kw.streamCSV('hugeData.csv')) {
+*   await writer.write(chunk.filter(row => row.country === 'France'));
+* }
+* await writer.close();
+*/
+
+class CSVWriter {
+
+	/**
+	* @constructor
+	* @hideconstructor
+	* @param {string} path Path of the file to write
+	* @param {Object} options Options of `Kiwis.createCSVWriter()`
+	*/
+	constructor(path, options) {
+		this._options = options;
+		this._columns = null;
+		this._error = null;
+		this._stream = eval('require')('fs').createWriteStream(path, {
+			encoding: options.encoding || 'utf8'
+		});
+		// The first error, e.g. a file that cannot be opened, rejects the pending and later calls
+		this._stream.on('error', error => {
+			if (this._error === null) this._error = error;
+		});
+	}
+
+	/**
+	* Writes rows to the file
+	* @param {(DataFrame|Object[])} data DataFrame or array of rows to write
+	* @returns {Promise} A promise resolved once the rows have been written
+	*/
+	write(data) {
+		if (this._error !== null)
+			return Promise.reject(this._error);
+		const df = data instanceof DataFrame ? data : new DataFrame(data);
+		if (df.empty)
+			return Promise.resolve();
+		const first = this._columns === null;
+		if (first)
+			this._columns = this._options.columns || df.columns;
+
+		const content = (first && this._options.bom ? '\ufeff' : '') + df._formatCSV({
+			...this._options,
+			columns: this._columns,
+			header: first && this._options.header !== false
+		});
+		return this._whenDone(done => this._stream.write(content, error => done(error)));
+	}
+
+	/**
+	* Closes the file
+	* @returns {Promise} A promise resolved once the file has been closed
+	*/
+	close() {
+		if (this._error !== null)
+			return Promise.reject(this._error);
+		return this._whenDone(done => this._stream.end(error => done(error)));
+	}
+
+	// Runs an operation on the stream, settling once its callback is called or the stream fails
+	_whenDone(operation) {
+		return new Promise((resolve, reject) => {
+			const onError = error => reject(this._error || error);
+			this._stream.once('error', onError);
+			operation(error => {
+				this._stream.removeListener('error', onError);
+				if (error || this._error !== null)
+					reject(error || this._error);
+				else
+					resolve();
+			});
+		});
+	}
+
+}
+
+module.exports = CSVWriter;
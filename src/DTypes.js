@@ -0,0 +1,117 @@
+'use strict';
+
+const d3 = require('d3-time-format');
+
+class DTypes {
+
+	static get types() {
+		return ['number', 'string', 'boolean', 'date', 'object'];
+	}
+
+	static isBlank(value) {
+		return value === undefined || value === null || Number.isNaN(value)
+			|| (typeof value === 'string' && value.trim() === '');
+	}
+
+	static infer(values) {
+		const present = values.filter(value => !this.isBlank(value));
+		if (present.length === 0)
+			return 'object';
+		if (present.every(value => typeof value === 'boolean'))
+			return 'boolean';
+		if (present.every(value => value instanceof Date))
+			return 'date';
+		if (present.every(value => typeof value === 'number'
+			|| (typeof value === 'string' && !Number.isNaN(+value))))
+			return 'number';
+		if (present.every(value => typeof value === 'string'))
+			return 'string';
+		return 'object';
+	}
+
+	static cast(value, dtype, options = {}) {
+		const method = options.method || 'DataFrame.astype()';
+
+		if (dtype === 'object')
+			return value;
+		if (value === undefined || value === null || Number.isNaN(value))
+			return null;
+		if (dtype === 'string')
+			return value instanceof Date ? value.toISOString() : String(value);
+		if (this.isBlank(value))
+			return null;
+
+		let converted;
+		switch (dtype) {
+			case 'number':
+				converted = value instanceof Date ? value.getTime() : +value;
+				if (Number.isNaN(converted)) converted = undefined;
+				break;
+			case 'boolean':
+				if (typeof value === 'boolean') converted = value;
+				else if (typeof value === 'number') converted = value !== 0;
+				else if (['true', '1', 'yes'].includes(value.toString().trim().toLowerCase())) converted = true;
+				else if (['false', '0', 'no'].includes(value.toString().trim().toLowerCase())) converted = false;
+				break;
+			case 'date':
+				converted = this.parseDate(value, options.format);
+				break;
+		}
+		if (converted !== undefined)
+			return converted;
+		if (options.errors === 'coerce')
+			return null;
+		throw new Error(`Error in ${method}: cannot convert '${value}' to ${dtype}`);
+	}
+
+	// Whether all present values are strings of dates in the format, or ISO 8601 dates if it is not set
+	static areDates(values, format) {
+		const present = values.filter(value => !this.isBlank(value));
+		const iso = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+		return present.length > 0 && present.every(value => typeof value === 'string'
+			&& (format || iso.test(value.trim())) && this.parseDate(value, format) !== undefined);
+	}
+
+	static parseDate(value, format) {
+		let date;
+		if (value instanceof Date)
+			date = value;
+		else if (typeof value === 'number')
+			date = new Date(value);
+		else if (format)
+			date = d3.utcParse(format)(value.toString().trim());
+		else {
+			// Dates without timezone are considered UTC, as date-only ISO strings are
+			const string = value.toString().trim().replace(/^(\d{4}-\d{2}-\d{2}) (\d{2})/, '$1T$2');
+			date = new Date(/^\d{4}-\d{2}-\d{2}T[\d:.]+$/.test(string) ? `${string}Z` : string);
+		}
+		return date && !Number.isNaN(date.getTime()) ? date : undefined;
+	}
+
+	static toString(value) {
+		if (value instanceof Date) {
+			const string = value.toISOString();
+			return string.endsWith('T00:00:00.000Z') ? string.slice(0, 10) : string;
+		}
+		return value.toString();
+	}
+
+	static conforms(value, dtype) {
+		if (dtype === 'object' || value === null)
+			return true;
+		switch (dtype) {
+			case 'number':
+				return typeof value === 'number' && !Number.isNaN(value);
+			case 'string':
+				return typeof value === 'string';
+			case 'boolean':
+				return typeof value === 'boolean';
+			case 'date':
+				return value instanceof Date;
+		}
+		return false;
+	}
+
+}
+
+module.exports = DTypes;
@@ -1,10 +1,14 @@
 'use strict';
 
 const d3 = require('d3-array');
+const d3TimeFormat = require('d3-time-format');
 
 const Series = require('./Series.js');
 const PivotTable = require('./PivotTable.js');
+const DateAccessor = require('./DateAccessor.js');
+const Window = require('./Window.js');
 
+const DTypes = require('./DTypes.js');
 const Validator = require('./Validator.js');
 
 
@@ -13,6 +17,8 @@ const Validator = require('./Validator.js');
 * @property {number} length The number of rows in the DataFrame
 * @property {boolean} empty Whether the DataFrame contains any row or not
 * @property {string[]} columns The columns of the DataFrame
+* @property {Object<string, string>} dtypes The types of the columns of the DataFrame
+* @property {Series} index The labels of the rows of the DataFrame, their positions if no index is set; with a multi-level index, each label is an array of the values of the levels
 */
 
 class DataFrame {
@@ -21,29 +27,56 @@ class DataFrame {
 	* @constructor
 	* @hideconstructor
 	* @param {(Object[]|DataFrame)} data An array of objects or a DataFrame
+	* @param {Object} [options]
+	* @param {Object<string, string>} [options.dtype] Map of columns to their types, inferred for the other columns
+	* @param {(string|Object<string, string>)} [options.dateFormat] Format of the dates to parse, or map of columns to their date formats
+	* @param {Array} [options.index] Labels of the rows, as arrays of values for a multi-level index
+	* @param {(string|string[])} [options.indexName] Name of the index, or names of its levels
+	* @param {Object<string, Array>} [options.categories] Map of columns to their ordered categories, which are sorted in this order
 	*/
-	constructor(data) {
+	constructor(data, options = {}) {
+		this._index = null;
+		this._indexName = null;
+		this._categories = {};
 		if (!data || data.length === 0) {
 			this._data = [];
 			this._columns = [];
+			this._dtypes = {};
 		}
 		else if (data instanceof DataFrame) {
-			this._data = data._data;
-			this._columns = data._columns;
+			this._data = data._data.map(row => ({ ...row }));
+			this._columns = [...data._columns];
+			this._dtypes = { ...data._dtypes };
+			this._index = data._index && [...data._index];
+			this._indexName = data._indexName;
+			this._categories = { ...data._categories };
 		}
 		else {
-			this._data = Array.from(JSON.parse(JSON.stringify(data)));
-			this._data.forEach(row => {
-				Object.entries(row).forEach(([key, value]) => {
-					if (value && typeof value !== 'boolean' && !Number.isNaN(+value))
-						row[key] = +value;
+			this._data = Array.from(data, row => ({ ...row }));
+			if (options.index) {
+				if (options.index.length !== this._data.length)
+					throw new Error('Invalid option in Kiwis.DataFrame(): \'index\' must have one label per row');
+				this._index = Array.from(options.index);
+				this._indexName = options.indexName || null;
+			}
+			if (options.categories)
+				this._categories = { ...options.categories };
+			const columns = new Set();
+			this._data.forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+			this._columns = Array.from(columns);
+			const dateFormats = typeof options.dateFormat === 'object' ? options.dateFormat : {};
+			this._dtypes = Object.entries({ ...options.dtype })
+				.concat(Object.keys(dateFormats).map(column => [column, 'date']))
+				.filter(([column]) => this._columns.includes(column))
+				.reduce((acc, [column, dtype]) => ({ ...acc, [column]: dtype }), {});
+			this._columns
+				.filter(column => this._dtypes[column] !== undefined)
+				.forEach(column => {
+					const format = typeof options.dateFormat === 'string' ? options.dateFormat : dateFormats[column];
+					this._data.forEach(row => {
+						row[column] = DTypes.cast(row[column], this._dtypes[column], { method: 'Kiwis.DataFrame()', format });
+					});
 				});
-			});
-			this._columns = Array.from(
-				new Set(this._data.reduce((acc, row) => {
-					return [...acc, ...Object.keys(row)];
-				}, []))
-			);
 		}
 		this._defineColumnProperties();
 		this._kw = require('./Kiwis.js');
@@ -51,12 +84,35 @@ class DataFrame {
 
 	_defineColumnProperties() {
 		this._columns.forEach(column => {
+			const values = this._data.map(e => e[column]);
+			if (this._dtypes[column] === undefined)
+				this._dtypes[column] = DTypes.infer(values);
+			if (values.some(value => !DTypes.conforms(value, this._dtypes[column]))) {
+				// Falls back to 'object' if the new values are not compatible with the type of the column
+				try {
+					const converted = values.map(value => DTypes.cast(value, this._dtypes[column]));
+					this._data.forEach((row, index) => row[column] = converted[index]);
+				}
+				catch (error) {
+					this._dtypes[column] = 'object';
+				}
+			}
 			Object.defineProperty(this, column, {
-				value: new Series(this._data.map(e => e[column])),
+				value: new Series(this._data.map(e => e[column]), {
+					dtype: this._dtypes[column],
+					index: this._index,
+					categories: this._categories[column]
+				}),
 				configurable: true,
 				enumerable: true
 			});
 		});
+		Object.keys(this._dtypes)
+			.filter(column => !this._columns.includes(column))
+			.forEach(column => delete this._dtypes[column]);
+		Object.keys(this._categories)
+			.filter(column => !this._columns.includes(column))
+			.forEach(column => delete this._categories[column]);
 	}
 
 	get length() {
@@ -71,21 +127,48 @@ class DataFrame {
 		return this._columns;
 	}
 
+	get dtypes() {
+		return this._columns.reduce((acc, column) => ({ ...acc, [column]: this._dtypes[column] }), {});
+	}
+
+	get index() {
+		return new Series(this._labels());
+	}
+
+	_labels() {
+		return this._index || this._data.map((row, index) => index);
+	}
+
 	set columns(newColumns) {
 		// Check for uniqueness of names
 		if (new Set(newColumns).length < newColumns.length)
 			throw new Error('Multiple columns cannot have the same name');
 
+		// Update types
+		this._dtypes = newColumns.reduce((acc, column, index) => {
+			const dtype = this._columns.includes(column) || this._dtypes[column] !== undefined
+				? this._dtypes[column]
+				: index < this._columns.length ? this._dtypes[this._columns[index]] : undefined;
+			return dtype !== undefined ? { ...acc, [column]: dtype } : acc;
+		}, {});
+		const categories = {};
+		newColumns.forEach((column, index) => {
+			const source = this._columns.includes(column) || this._categories[column] !== undefined
+				? column
+				: this._columns[index];
+			if (this._categories[source]) categories[column] = this._categories[source];
+		});
+		this._categories = categories;
+
 		// Update data
 		this._data = this._data.map(row => {
-			return newColumns.reduce((newRow, column, index) => {
-				return {
-					...newRow,
-					[column]: row[column] !== undefined
-						? row[column]
-						: index < this._columns.length ? row[this._columns[index]] : null
-				};
-			}, {});
+			const newRow = {};
+			newColumns.forEach((column, index) => {
+				newRow[column] = row[column] !== undefined
+					? row[column]
+					: index < this._columns.length ? row[this._columns[index]] : null;
+			});
+			return newRow;
 		});
 
 		// Delete old properties
@@ -170,10 +253,557 @@ class DataFrame {
 	set(index, column, value) {
 		Validator.integer('DataFrame.set()', 'index', index, { range: [0, this.length - 1] });
 		Validator.string('DataFrame.set()', 'column', column, { enum: this._columns });
+		try {
+			value = DTypes.cast(value, this._dtypes[column], { method: 'DataFrame.set()' });
+		}
+		catch (error) {
+			// Falls back to 'object' if the value is not compatible with the type of the column
+			this._dtypes[column] = 'object';
+		}
 		this._data[index][column] = value;
 		this[column].set(index, value);
 	}
 
+	/**
+	* Sets a column as the index of the DataFrame, its values becoming the labels of the rows
+	* @param {(string|string[])} column Column to use as index, or array of columns to use as the levels of a multi-level index
+	* @param {Object} [options]
+	* @param {boolean} [options.drop=true] Removes the column from the DataFrame
+	* @param {boolean} [options.inPlace=false] Changes the current DataFrame instead of returning a new one
+	* @returns {DataFrame}
+	* @example
+	* // Identifies the rows by their 'id'
+	* df.setIndex('id', { inPlace: true });
+	* // Returns the row whose id is 'A42'
+	* df.loc('A42');
+	* // Identifies the rows by their 'sector' and their 'year'
+	* df.setIndex(['sector', 'year'], { inPlace: true });
+	* // Returns the rows of the 'Retail' sector in 2020
+	* df.loc(['Retail', 2020]);
+	*/
+	setIndex(column, options = {}) {
+		const columns = Array.isArray(column) ? column : [column];
+		Validator.array('DataFrame.setIndex()', 'column', columns, { type: 'string', enum: this._columns });
+		if (columns.length === 0)
+			throw new Error('Invalid argument in DataFrame.setIndex(): \'column\' must contain at least one column');
+		Validator.options('DataFrame.setIndex()', options, [
+			{ key: 'drop', type: 'boolean' },
+			{ key: 'inPlace', type: 'boolean' }
+		]);
+
+		const drop = options.drop !== undefined ? options.drop : true;
+		const inPlace = options.inPlace || false;
+
+		const df = inPlace ? this : this.clone();
+		df._setLevels(columns, this._data.map(row => columns.map(name => row[name])));
+		df.columns = drop ? this._columns.filter(name => !columns.includes(name)) : [...this._columns];
+		return df;
+	}
+
+	/**
+	* Removes the index of the DataFrame, the rows being identified by their positions again
+	* @param {Object} [options]
+	* @param {boolean} [options.drop=false] Discards the labels instead of inserting them as the first columns (one per level)
+	* @param {string} [options.name] Name of the column containing the labels of a single-level index, the name of the index or 'index' if not set
+	* @param {boolean} [options.inPlace=false] Changes the current DataFrame instead of returning a new one
+	* @returns {DataFrame}
+	* @example
+	* // Moves the labels back into a column after sorting
+	* df.sort('age').resetIndex();
+	*/
+	resetIndex(options = {}) {
+		Validator.options('DataFrame.resetIndex()', options, [
+			{ key: 'drop', type: 'boolean' },
+			{ key: 'name', type: 'string' },
+			{ key: 'inPlace', type: 'boolean' }
+		]);
+
+		const drop = options.drop || false;
+		const inPlace = options.inPlace || false;
+
+		const levels = this._levels();
+		if (levels.names.length === 0)
+			levels.labels = this._labels().map(label => [label]);
+		const names = levels.names.length > 1
+			? levels.names.map((name, index) => name !== null ? name : `level${index}`)
+			: [options.name || levels.names[0] || 'index'];
+		if (!drop)
+			names.forEach(name => Validator.string('DataFrame.resetIndex()', 'name', name, { not: this._columns }));
+
+		const df = inPlace ? this : this.clone();
+		df._setLevels([], []);
+		if (drop) {
+			df.columns = [...this._columns];
+			return df;
+		}
+		df._data = this._data.map((row, index) => ({
+			...names.reduce((acc, name, level) => {
+				const label = levels.labels[index][level];
+				return { ...acc, [name]: label !== undefined ? label : null };
+			}, {}),
+			...row
+		}));
+		df._dtypes = {
+			...this._dtypes,
+			...names.reduce((acc, name, level) => ({ ...acc, [name]: DTypes.infer(levels.labels.map(label => label[level])) }), {})
+		};
+		df.columns = [...names, ...this._columns];
+		return df;
+	}
+
+	/**
+	* Returns the cross-section of the DataFrame for a value of one level of its index,
+	* that level being removed from the index of the result
+	* @param {*} key Value of the level to select
+	* @param {(string|number)} [level=0] Name or position of the level
+	* @returns {DataFrame}
+	* @example
+	* // Returns the rows of 2020, indexed by sector only
+	* df.pivot(['sector', 'year']).agg({ revenue: 'sum' }, { asIndex: true }).xs(2020, 'year');
+	*/
+	xs(key, level = 0) {
+		const position = this._levelPosition('DataFrame.xs()', level);
+		const { names, labels } = this._levels();
+
+		const positions = [...labels.keys()]
+			.filter(index => Series._comparable(labels[index][position]) === Series._comparable(key));
+		if (positions.length === 0)
+			throw new Error(`Invalid value '${key}' in DataFrame.xs(): no such label in level '${names[position] !== null ? names[position] : position}'`);
+		const df = this._take(positions);
+		df._setLevels(
+			names.filter((name, index) => index !== position),
+			positions.map(index => labels[index].filter((value, index) => index !== position))
+		);
+		df.columns = [...this._columns];
+		return df;
+	}
+
+	/**
+	* Swaps two levels of the multi-level index of the DataFrame
+	* @param {(string|number)} [i=-2] Name or position of the first level
+	* @param {(string|number)} [j=-1] Name or position of the second level
+	* @param {Object} [options]
+	* @param {boolean} [options.inPlace=false] Changes the current DataFrame instead of returning a new one
+	* @returns {DataFrame}
+	* @example
+	* // Indexes the rows by year, then by sector
+	* df.swapLevel('sector', 'year').sortIndex();
+	*/
+	swapLevel(i = -2, j = -1, options = {}) {
+		const first = this._levelPosition('DataFrame.swapLevel()', i);
+		const second = this._levelPosition('DataFrame.swapLevel()', j);
+		Validator.options('DataFrame.swapLevel()', options, [
+			{ key: 'inPlace', type: 'boolean' }
+		]);
+
+		const inPlace = options.inPlace || false;
+
+		const swap = values => values.map((value, index) => {
+			return index === first ? values[second] : index === second ? values[first] : value;
+		});
+		const { names, labels } = this._levels();
+		const df = inPlace ? this : this.clone();
+		df._setLevels(swap(names), labels.map(swap));
+		df.columns = [...this._columns];
+		return df;
+	}
+
+	/**
+	* Sorts the rows of the DataFrame by their labels
+	* @param {(string|number|Array.<(string|number)>)} [level] Name or position of the level to sort by, or array of levels; all levels in order if not set
+	* @param {Object} [options]
+	* @param {boolean} [options.reverse=false] Sorts the DataFrame in descending order
+	* @param {boolean} [options.inPlace=false] Changes the current DataFrame instead of returning a new one
+	* @returns {DataFrame}
+	* @example
+	* // Sorts the rows by year, most recent first
+	* df.sortIndex('year', { reverse: true });
+	*/
+	sortIndex(level, options = {}) {
+		Validator.options('DataFrame.sortIndex()', options, [
+			{ key: 'reverse', type: 'boolean' },
+			{ key: 'inPlace', type: 'boolean' }
+		]);
+
+		const reverse = options.reverse || false;
+		const inPlace = options.inPlace || false;
+
+		const { names, labels } = this._levels();
+		const levels = level === undefined
+			? [...names.keys()]
+			: (Array.isArray(level) ? level : [level]).map(level => this._levelPosition('DataFrame.sortIndex()', level));
+
+		const positions = [...labels.keys()].sort((indexA, indexB) => {
+			return levels.reduce((acc, level) => {
+				const a = Series._comparable(labels[indexA][level]);
+				const b = Series._comparable(labels[indexB][level]);
+				if (acc || a === b) return acc;
+				return (reverse ? b < a : a < b) ? -1 : 1;
+			}, 0);
+		});
+		if (inPlace) {
+			this._data = positions.map(index => this._data[index]);
+			this._index = this._index && positions.map(index => this._index[index]);
+			this.columns = this._columns;
+			return this;
+		}
+		return this._take(positions);
+	}
+
+	/**
+	* Moves a level of the index to the columns, returning a wide DataFrame with one row per combination of the other levels;
+	* the new columns are named after the values of the level, prefixed by the original column (e.g. `'revenue|2020'`) if there are several columns
+	* @param {(string|number)} [level=-1] Name or position of the level
+	* @param {Object} [options]
+	* @param {*} [options.fillValue=null] Value to use for missing combinations
+	* @returns {DataFrame}
+	* @example
+	* // Returns a DataFrame with one row per sector and one column per year
+	* df.pivot(['sector', 'year']).agg({ revenue: 'sum' }, { asIndex: true }).unstack('year');
+	*/
+	unstack(level = -1, options = {}) {
+		const position = this._levelPosition('DataFrame.unstack()', level);
+		Validator.options('DataFrame.unstack()', options, [
+			{ key: 'fillValue' }
+		]);
+
+		const fillValue = options.fillValue !== undefined ? options.fillValue : null;
+
+		const { names, labels } = this._levels();
+		const groups = new Map();
+		const values = new Map();
+		this._data.forEach((row, index) => {
+			const rowLabel = labels[index].filter((value, level) => level !== position);
+			const rowKey = Series._comparable(rowLabel);
+			const value = labels[index][position];
+			const valueKey = Series._comparable(value);
+			if (!groups.has(rowKey)) groups.set(rowKey, { label: rowLabel, cells: new Map() });
+			if (groups.get(rowKey).cells.has(valueKey))
+				throw new Error(`Error in DataFrame.unstack(): duplicate label '${value}' in level '${names[position] !== null ? names[position] : position}'`);
+			groups.get(rowKey).cells.set(valueKey, row);
+			values.set(valueKey, value);
+		});
+
+		const keys = [...values.keys()].sort((a, b) => (a - b) || (a < b ? -1 : a > b ? 1 : 0));
+		const toName = key => !this._kw.isNA(values.get(key)) ? DTypes.toString(values.get(key)) : 'N/A';
+		const newColumns = this._columns.length === 1
+			? keys.map(key => ({ name: toName(key), column: this._columns[0], key }))
+			: this._columns.flatMap(column => keys.map(key => ({ name: `${column}|${toName(key)}`, column, key })));
+
+		const data = [...groups.values()].map(({ cells }) => newColumns.reduce((acc, { name, column, key }) => ({
+			...acc,
+			[name]: cells.has(key) ? cells.get(key)[column] : fillValue
+		}), {}));
+		const df = new DataFrame(data, {
+			dtype: newColumns.reduce((acc, { name, column }) => ({ ...acc, [name]: this._dtypes[column] }), {})
+		});
+		df._setLevels(names.filter((name, index) => index !== position), [...groups.values()].map(({ label }) => label));
+		df.columns = newColumns.map(({ name }) => name);
+		return df;
+	}
+
+	/**
+	* Moves the columns of the DataFrame to a new innermost level of the index, returning a long DataFrame with a single column of values
+	* @param {Object} [options]
+	* @param {string} [options.name='variable'] Name of the new level, containing the names of the columns
+	* @param {string} [options.valueName='value'] Name of the column containing the values
+	* @param {boolean} [options.dropNA=false] Drops the N/A values
+	* @returns {DataFrame}
+	* @example
+	* // Reverts an unstack
+	* df.unstack('year').stack({ name: 'year', valueName: 'sumRevenue' });
+	*/
+	stack(options = {}) {
+		Validator.options('DataFrame.stack()', options, [
+			{ key: 'name', type: 'string' },
+			{ key: 'valueName', type: 'string' },
+			{ key: 'dropNA', type: 'boolean' }
+		]);
+
+		const name = options.name || 'variable';
+		const valueName = options.valueName || 'value';
+		const dropNA = options.dropNA || false;
+
+		const { names, labels } = this._levels();
+		if (names.includes(name))
+			throw new Error(`Invalid option in DataFrame.stack(): '${name}' is already the name of a level`);
+
+		// Column names are converted back to numbers or dates when possible
+		const columnDType = DTypes.infer(this._columns);
+		const columnLabels = this._columns.map(column => {
+			return ['number', 'date'].includes(columnDType) ? DTypes.cast(column, columnDType) : column;
+		});
+
+		// Without index, the positions of the rows become the first level
+		const rowLabels = names.length > 0 ? labels : this._data.map((row, index) => [index]);
+		const newLabels = [];
+		const data = [];
+		this._data.forEach((row, index) => {
+			this._columns.forEach((column, position) => {
+				if (dropNA && this._kw.isNA(row[column])) return;
+				newLabels.push([...rowLabels[index], columnLabels[position]]);
+				data.push({ [valueName]: row[column] });
+			});
+		});
+		const dtypes = new Set(Object.values(this.dtypes));
+		const df = new DataFrame(data, { dtype: dtypes.size === 1 ? { [valueName]: [...dtypes][0] } : {} });
+		df._setLevels([...(names.length > 0 ? names : [null]), name], newLabels);
+		df.columns = [valueName];
+		return df;
+	}
+
+	// Returns the labels of the rows as arrays of level values, with the names of the levels
+	_levels() {
+		if (this._index === null)
+			return { names: [], labels: this._data.map(() => []) };
+		if (Array.isArray(this._indexName))
+			return { names: this._indexName, labels: this._index };
+		return { names: [this._indexName], labels: this._index.map(label => [label]) };
+	}
+
+	// Label given to rows added without one, N/A on every level
+	_naLabel() {
+		return Array.isArray(this._indexName) ? this._indexName.map(() => null) : null;
+	}
+
+	_setLevels(names, labels) {
+		if (names.length === 0) {
+			this._index = null;
+			this._indexName = null;
+		}
+		else if (names.length === 1) {
+			this._index = labels.map(label => label[0]);
+			this._indexName = names[0];
+		}
+		else {
+			this._index = labels;
+			this._indexName = names;
+		}
+	}
+
+	_levelPosition(method, level) {
+		const { names } = this._levels();
+		if (names.length === 0)
+			throw new Error(`Error in ${method}: the DataFrame has no index`);
+		if (typeof level === 'string') {
+			Validator.string(method, 'level', level, { enum: names.filter(name => name !== null) });
+			return names.indexOf(level);
+		}
+		Validator.integer(method, 'level', level, { range: [-names.length, names.length - 1] });
+		return level < 0 ? level + names.length : level;
+	}
+
+	// Returns a new DataFrame with the rows at the given positions, keeping their labels
+	_take(positions) {
+		return new DataFrame(positions.map(index => this._data[index]), {
+			dtype: this._dtypes,
+			index: this._index && positions.map(index => this._index[index]),
+			indexName: this._indexName,
+			categories: this._categories
+		});
+	}
+
+	/**
+	* Selects rows and columns of the DataFrame by position
+	* @param {(number|number[]|boolean[]|Series|Object)} [rows] Position or array of positions of the rows to select (counted from the end if negative), boolean array or Series of the same length as the DataFrame, or range of positions `{ start, end }` (end excluded); all rows are selected if not set
+	* @param {(number|number[]|boolean[]|Object)} [columns] Position, array of positions, boolean array or range of positions `{ start, end }` (end excluded) of the columns to select; all columns are selected if not set
+	* @returns {(*|Object|Series|DataFrame)} The value of the cell if a single row and a single column are selected, the row if a single row is selected, a Series if a single column is selected, a DataFrame otherwise
+	* @example
+	* // Returns the first three columns of the rows at positions 2, 4 and 8
+	* df.iloc([2, 4, 8], { start: 0, end: 3 });
+	* // Returns the value of the last column of the last row
+	* df.iloc(-1, -1);
+	* // Returns the first column of the rows whose age is over 42
+	* df.iloc(df.age.gt(42), 0);
+	*/
+	iloc(rows, columns) {
+		return this._extract(
+			this._positions('DataFrame.iloc()', 'rows', rows, this.length),
+			this._positions('DataFrame.iloc()', 'columns', columns, this._columns.length)
+		);
+	}
+
+	/**
+	* Selects rows and columns of the DataFrame by label
+	* @param {(*|Array|boolean[]|Series|Object)} [labels] Label or array of labels of the rows to select, boolean array or Series of the same length as the DataFrame, or range of labels `{ start, end }` (both included); all rows are selected if not set
+	* @param {(string|string[]|boolean[]|Object)} [columns] Name, array of names, boolean array or range of names `{ start, end }` (both included) of the columns to select; all columns are selected if not set
+	* @returns {(*|Object|Series|DataFrame)} The value of the cell if a single row and a single column are selected, the row if a single row is selected, a Series if a single column is selected, a DataFrame otherwise
+	* @example
+	* // Returns the 'name' and 'age' of the rows labelled from 10 to 20
+	* df.loc({ start: 10, end: 20 }, ['name', 'age']);
+	* // Returns the 'name' of the rows whose age is over 42
+	* df.loc(df.age.gt(42), 'name');
+	*/
+	loc(labels, columns) {
+		return this._extract(
+			this._labelPositions('DataFrame.loc()', 'labels', labels, this._labels()),
+			this._labelPositions('DataFrame.loc()', 'columns', columns, this._columns)
+		);
+	}
+
+	/**
+	* Sets the content of the cells selected by position, as in `DataFrame.iloc()`
+	* @param {(number|number[]|boolean[]|Series|Object)} rows Rows to update, as in `DataFrame.iloc()`, or `null` to update all rows
+	* @param {(number|number[]|boolean[]|Object)} columns Columns to update, as in `DataFrame.iloc()`, or `null` to update all columns
+	* @param {(*|Array|Series|callback)} value Value to set in all the cells, array or Series with one value per selected row, or callback returning the new value of a cell from its current value, its row and its column
+	* @returns {DataFrame}
+	* @example
+	* // Resets the second column of the first ten rows
+	* df.setIloc({ start: 0, end: 10 }, 1, 0);
+	*/
+	setIloc(rows, columns, value) {
+		return this._assign(
+			'DataFrame.setIloc()',
+			this._positions('DataFrame.setIloc()', 'rows', rows, this.length),
+			this._positions('DataFrame.setIloc()', 'columns', columns, this._columns.length),
+			value
+		);
+	}
+
+	/**
+	* Sets the content of the cells selected by label, as in `DataFrame.loc()`
+	* @param {(*|Array|boolean[]|Series|Object)} labels Rows to update, as in `DataFrame.loc()`, or `null` to update all rows
+	* @param {(string|string[]|boolean[]|Object)} columns Columns to update, as in `DataFrame.loc()`, or `null` to update all columns
+	* @param {(*|Array|Series|callback)} value Value to set in all the cells, array or Series with one value per selected row, or callback returning the new value of a cell from its current value, its row and its column
+	* @returns {DataFrame}
+	* @example
+	* // Caps the price of the rows whose price is over 100
+	* df.setLoc(df.price.gt(100), 'price', 100);
+	* // Upper cases the names of the first rows
+	* df.setLoc([0, 1, 2], 'name', name => name.toUpperCase());
+	*/
+	setLoc(labels, columns, value) {
+		return this._assign(
+			'DataFrame.setLoc()',
+			this._labelPositions('DataFrame.setLoc()', 'labels', labels, this._labels()),
+			this._labelPositions('DataFrame.setLoc()', 'columns', columns, this._columns),
+			value
+		);
+	}
+
+	// Returns the selected positions among `length` items, and whether a single item is selected
+	_positions(method, name, selection, length) {
+		const all = [...Array(length).keys()];
+		if (selection === undefined || selection === null)
+			return { positions: all, single: false };
+		const mask = DataFrame._mask(method, name, selection, length);
+		if (mask)
+			return { positions: all.filter(index => mask[index] === true), single: false };
+
+		const toPosition = position => {
+			Validator.integer(method, name, position, { range: [-length, length - 1] });
+			return position < 0 ? position + length : position;
+		};
+		if (typeof selection === 'number')
+			return { positions: [toPosition(selection)], single: true };
+		if (Array.isArray(selection))
+			return { positions: selection.map(toPosition), single: false };
+		if (typeof selection === 'object') {
+			Validator.options(method, selection, [
+				{ key: 'start', type: 'number' },
+				{ key: 'end', type: 'number' }
+			]);
+			return { positions: all.slice(selection.start || 0, selection.end), single: false };
+		}
+		throw new Error(`Invalid argument in ${method}: '${name}' must be a position, an array of positions, a boolean mask or a range`);
+	}
+
+	// Returns the positions of the selected labels, and whether a single label is selected
+	_labelPositions(method, name, selection, labels) {
+		const all = [...labels.keys()];
+		if (selection === undefined || selection === null)
+			return { positions: all, single: false };
+		const mask = DataFrame._mask(method, name, selection, labels.length);
+		if (mask)
+			return { positions: all.filter(index => mask[index] === true), single: false };
+
+		// With a multi-level index, a value or an array of values selects the labels starting with them
+		const isMultiLevel = labels.some(Array.isArray);
+		const keys = labels.map(Series._comparable);
+		const matches = (index, label) => isMultiLevel
+			? [].concat(label).every((value, level) => Series._comparable(labels[index][level]) === Series._comparable(value))
+			: keys[index] === Series._comparable(label);
+		const find = label => {
+			const positions = all.filter(index => matches(index, label));
+			if (positions.length === 0)
+				throw new Error(`Invalid value '${label}' in ${method}: no such label in '${name}'`);
+			return positions;
+		};
+		const isRange = typeof selection === 'object' && !Array.isArray(selection) && !(selection instanceof Date);
+		if (isRange) {
+			Validator.options(method, selection, [
+				{ key: 'start' },
+				{ key: 'end' }
+			]);
+			const start = selection.start !== undefined ? find(selection.start)[0] : 0;
+			const end = selection.end !== undefined ? find(selection.end).slice(-1)[0] : labels.length - 1;
+			return { positions: all.slice(start, end + 1), single: false };
+		}
+		if (Array.isArray(selection) && (!isMultiLevel || selection.every(Array.isArray)))
+			return { positions: selection.flatMap(find), single: false };
+		const positions = find(selection);
+		const isComplete = !isMultiLevel || (Array.isArray(selection) && selection.length === labels[0].length);
+		return { positions, single: isComplete && positions.length === 1 };
+	}
+
+	// Returns the values of a boolean selection, or undefined if the selection is not a mask
+	static _mask(method, name, selection, length) {
+		const isMask = selection instanceof Series
+			|| (Array.isArray(selection) && selection.length > 0 && selection.every(value => typeof value === 'boolean'));
+		if (!isMask)
+			return undefined;
+		if (selection.length !== length)
+			throw new Error(`Invalid argument in ${method}: boolean mask '${name}' must have a length of ${length}`);
+		return selection instanceof Series ? selection.toArray() : selection;
+	}
+
+	_extract(rows, columns) {
+		const names = columns.positions.map(position => this._columns[position]);
+		if (rows.single && columns.single)
+			return this._data[rows.positions[0]][names[0]];
+		if (rows.single)
+			return names.reduce((row, name) => ({ ...row, [name]: this._data[rows.positions[0]][name] }), {});
+		const index = this._index && rows.positions.map(position => this._index[position]);
+		if (columns.single) {
+			return new Series(rows.positions.map(position => this._data[position][names[0]]), {
+				dtype: this._dtypes[names[0]],
+				index,
+				categories: this._categories[names[0]]
+			});
+		}
+		const df = new DataFrame(
+			rows.positions.map(position => names.reduce((row, name) => ({ ...row, [name]: this._data[position][name] }), {})),
+			{
+				dtype: names.reduce((dtypes, name) => ({ ...dtypes, [name]: this._dtypes[name] }), {}),
+				index,
+				indexName: this._indexName
+			}
+		);
+		df.columns = names;
+		return df;
+	}
+
+	_assign(method, rows, columns, value) {
+		let values;
+		if (value instanceof Series || Array.isArray(value)) {
+			values = value instanceof Series ? value.toArray() : value;
+			if (values.length !== rows.positions.length)
+				throw new Error(`Invalid argument in ${method}: 'value' must have one value per selected row (${rows.positions.length})`);
+		}
+		const names = columns.positions.map(position => this._columns[position]);
+		rows.positions.forEach((position, index) => {
+			const row = this._data[position];
+			names.forEach(name => {
+				if (typeof value === 'function')
+					row[name] = value(row[name], row, name);
+				else
+					row[name] = values ? values[index] : value;
+			});
+		});
+		this._defineColumnProperties();
+		return this;
+	}
+
 	/**
 	* Returns a new DataFrame containing the first N rows of the DataFrame
 	* @param {number} [n=5] Number of rows to select
@@ -214,7 +844,7 @@ class DataFrame {
 	slice(start, end = this.length) {
 		Validator.integer('DataFrame.slice()', 'start', start);
 		Validator.integer('DataFrame.slice()', 'end', end);
-		return new DataFrame(this._data.slice(start, end));
+		return this._take([...this._data.keys()].slice(start, end));
 	}
 
 	/**
@@ -328,7 +958,7 @@ class DataFrame {
 	}
 
 	/**
-	* Appends new rows to a DataFrame
+	* Appends new rows to a DataFrame, with N/A labels if the DataFrame has an index
 	* @param {Object|Object[]} rows Row or array of rows to append to the DataFrame
 	* @param {Object} [options]
 	* @param {boolean} [options.extend=false] Adds new columns to the DataFrame if they do not already exist
@@ -368,13 +998,15 @@ class DataFrame {
 				...acc,
 				[column]: !this._kw.isNA(row[column], { keep: [0, false, ''] }) ? row[column] : null
 			}), {}));
+			if (this._index)
+				this._index.push(this._naLabel());
 		});
 		this.columns = newColumns;
 		return this;
 	}
 
 	/**
-	* Inserts new rows into a DataFrame
+	* Inserts new rows into a DataFrame, with N/A labels if the DataFrame has an index
 	* @param {Object|Object[]} rows Row or array of rows to insert into the DataFrame
 	* @param {number} [index=0] Index to insert the rows at
 	* @param {Object} [options]
@@ -407,6 +1039,8 @@ class DataFrame {
 				...acc,
 				[column]: !this._kw.isNA(row[column], { keep: [0, false, ''] }) ? row[column] : null
 			}), {}));
+			if (this._index)
+				this._index.splice(index, 0, this._naLabel());
 			index++;
 		});
 		this.columns = newColumns;
@@ -414,7 +1048,7 @@ class DataFrame {
 	}
 
 	/**
-	* Concatenates another DataFrame to the DataFrame
+	* Concatenates another DataFrame to the DataFrame, keeping the labels of `other` if both DataFrames have an index with the same number of levels (N/A labels otherwise)
 	* @param {DataFrame} other
 	* @param {Object} [options]
 	* @param {boolean} [options.extend=false] Adds new columns to the DataFrame if they do not already exist
@@ -433,83 +1067,192 @@ class DataFrame {
 
 		const inPlace = options.inPlace || false;
 
-		if (inPlace)
-			return this.append(other.toArray(), options);
-		const df = this.clone();
-		df.append(other.toArray(), options);
+		const df = inPlace ? this : this.clone();
+		other._columns
+			.filter(column => !df._columns.includes(column))
+			.forEach(column => df._dtypes[column] = other._dtypes[column]);
+		const labels = df._index && other._levels().names.length === df._levels().names.length ? other._index : null;
+		df.append(other.toArray(), { extend: options.extend });
+		if (labels)
+			df._index = df._index.slice(0, df.length - labels.length).concat(labels);
+		df._defineColumnProperties();
 		return df;
 	}
 
 	/**
-	* Performs a join of two DataFrames on a given column
+	* Performs a join of two DataFrames on one or several key columns
 	* @param {DataFrame} other
-	* @param {string} column Column to join the DataFrames on
+	* @param {(string|string[])} [on] Column or array of columns to join the DataFrames on, that must exist in both DataFrames (can be omitted if `options.leftOn` and `options.rightOn` are set)
 	* @param {Object} [options]
-	* @param {('inner'|'outer'|'left'|'right')} [options.how='inner'] How the DataFrames should be joined: `'inner'` only keeps the intersection of the rows, `'outer'` keeps the union of the rows, `'left'` only keeps rows from the current DataFrame, and `'right'` only keeps rows from the `other` DataFrame
+	* @param {('inner'|'outer'|'left'|'right'|'semi'|'anti')} [options.how='inner'] How the DataFrames should be joined: `'inner'` only keeps the intersection of the rows, `'outer'` keeps the union of the rows, `'left'` only keeps rows from the current DataFrame, `'right'` only keeps rows from the `other` DataFrame, `'semi'` only keeps rows from the current DataFrame that have a match in `other` (without adding its columns), and `'anti'` only keeps rows from the current DataFrame that have no match in `other`
+	* @param {(string|string[])} [options.leftOn] Column or array of columns of the current DataFrame to join on, if their names differ from the ones in `other`
+	* @param {(string|string[])} [options.rightOn] Column or array of columns of the `other` DataFrame to join on, matching `options.leftOn`
+	* @param {string[]} [options.suffixes=['_x', '_y']] Suffixes to add to the non-key columns existing in both DataFrames
 	* @param {boolean} [options.inPlace=false] Changes the current DataFrame instead of returning a new one
 	* @returns {DataFrame}
 	* @example
 	* // Joins DataFrames df1 and df2 along their column 'id', keeping only the rows from df1
 	* df1.join(df2, 'id', { inPlace: true, how: 'left' });
+	* // Joins DataFrames df1 and df2 along their columns 'region' and 'date'
+	* df1.join(df2, ['region', 'date'], { suffixes: ['2019', '2020'] });
+	* // Joins DataFrames df1 and df2 where 'id' in df1 matches 'userId' in df2
+	* df1.join(df2, { leftOn: 'id', rightOn: 'userId' });
+	* // Only keeps the rows of df1 whose 'id' does not appear in df2
+	* df1.join(df2, 'id', { how: 'anti' });
 	*/
-	join(other, column, options = {}) {
+	join(other, on, options = {}) {
+		if (on && typeof on === 'object' && !Array.isArray(on)) {
+			options = on;
+			on = undefined;
+		}
 		Validator.instanceOf('DataFrame.join()', 'other', other, 'DataFrame', DataFrame);
-		Validator.string('DataFrame.join()', 'column', column, {
-			enum: this._columns.filter(column => other._columns.includes(column))
-		});
 		Validator.options('DataFrame.join()', options, [
-			{ key: 'how', type: 'string', enum: ['inner', 'outer', 'left', 'right'] },
+			{ key: 'how', type: 'string', enum: ['inner', 'outer', 'left', 'right', 'semi', 'anti'] },
+			{ key: 'leftOn', type: 'string|string[]', enum: this._columns },
+			{ key: 'rightOn', type: 'string|string[]', enum: other._columns },
+			{ key: 'suffixes', type: 'string[]' },
 			{ key: 'inPlace', type: 'boolean' }
 		]);
 
+		const toArray = value => Array.isArray(value) ? value : [value];
+
+		let leftKeys;
+		let rightKeys;
+		if (on !== undefined && on !== null) {
+			if (options.leftOn !== undefined || options.rightOn !== undefined)
+				throw new Error('Invalid option in DataFrame.join(): \'leftOn\' and \'rightOn\' cannot be set together with \'on\'');
+			leftKeys = toArray(on);
+			rightKeys = leftKeys;
+			Validator.array('DataFrame.join()', 'on', leftKeys, {
+				type: 'string',
+				enum: this._columns.filter(column => other._columns.includes(column))
+			});
+		}
+		else {
+			if (options.leftOn === undefined || options.rightOn === undefined)
+				throw new Error('Missing argument in DataFrame.join(): \'on\' is required if \'leftOn\' and \'rightOn\' are not set');
+			leftKeys = toArray(options.leftOn);
+			rightKeys = toArray(options.rightOn);
+		}
+		if (leftKeys.length === 0 || leftKeys.length !== rightKeys.length)
+			throw new Error('Invalid argument in DataFrame.join(): \'leftOn\' and \'rightOn\' must contain the same number of columns');
+
 		const how = options.how || 'inner';
+		const suffixes = options.suffixes || ['_x', '_y'];
 		const inPlace = options.inPlace || false;
 
-		const getNewData = (data, otherData) => {
-			return data.reduce((acc, row) => {
-				const otherRow = otherData.find(otherRow => row[column] === otherRow[column]);
-				if (otherRow !== undefined) {
-					return [
-						...acc,
-						Object.entries(otherRow).reduce((acc, [key, value]) => ({
-							...acc,
-							[key]: value
-						}), row)
-					];
-				}
-				if (how === 'inner') return acc;
-				return [...acc, row];
-			}, []);
-		}
+		if (suffixes.length !== 2)
+			throw new Error('Invalid option in DataFrame.join(): \'suffixes\' must contain exactly two strings');
+
+		// Key columns sharing the same name in both DataFrames only appear once
+		const sharedKeys = leftKeys.filter((key, index) => key === rightKeys[index]);
+		const otherColumns = other._columns.filter(column => !sharedKeys.includes(column));
+		const leftColumns = this._columns.map(column => {
+			return !sharedKeys.includes(column) && otherColumns.includes(column)
+				? column + suffixes[0] : column;
+		});
+		const rightColumns = otherColumns.map(column => {
+			return this._columns.includes(column) && !sharedKeys.includes(column)
+				? column + suffixes[1] : column;
+		});
+		const newColumns = ['semi', 'anti'].includes(how)
+			? this._columns
+			: [...leftColumns, ...rightColumns];
+		if (new Set(newColumns).size < newColumns.length)
+			throw new Error('Invalid option in DataFrame.join(): \'suffixes\' produce duplicate column names');
+
+		const getKey = (row, keys) => JSON.stringify(keys.map(key => row[key]));
+
+		// Index the rows of the other DataFrame by key
+		const index = new Map();
+		other._data.forEach((row, rowIndex) => {
+			const key = getKey(row, rightKeys);
+			if (!index.has(key)) index.set(key, []);
+			index.get(key).push(rowIndex);
+		});
+
+		const mergeRows = (leftRow, rightRow) => {
+			const newRow = {};
+			this._columns.forEach((column, columnIndex) => {
+				newRow[leftColumns[columnIndex]] = leftRow ? leftRow[column] : null;
+			});
+			otherColumns.forEach((column, columnIndex) => {
+				newRow[rightColumns[columnIndex]] = rightRow ? rightRow[column] : null;
+			});
+			if (!leftRow) {
+				sharedKeys.forEach(key => newRow[key] = rightRow[key]);
+			}
+			return newRow;
+		};
 
-		let newData;
-		switch(how) {
-			case 'inner':
-				newData = getNewData(this._data, other._data);
-				break;
-			case 'left':
-				newData = getNewData(this._data, other._data);
-				break;
-			case 'right':
-				newData = getNewData(other._data, this._data);
-				break;
-			case 'outer':
-				newData = [...getNewData(this._data, other._data), ...getNewData(other._data, this._data)];
-				break;
+		const newData = [];
+		if (how === 'semi' || how === 'anti') {
+			this._data.forEach(row => {
+				if (index.has(getKey(row, leftKeys)) === (how === 'semi'))
+					newData.push(row);
+			});
+		}
+		else if (how === 'right') {
+			const leftIndex = new Map();
+			this._data.forEach((row, rowIndex) => {
+				const key = getKey(row, leftKeys);
+				if (!leftIndex.has(key)) leftIndex.set(key, []);
+				leftIndex.get(key).push(rowIndex);
+			});
+			other._data.forEach(rightRow => {
+				const matches = leftIndex.get(getKey(rightRow, rightKeys));
+				if (matches)
+					matches.forEach(rowIndex => newData.push(mergeRows(this._data[rowIndex], rightRow)));
+				else
+					newData.push(mergeRows(null, rightRow));
+			});
+		}
+		else {
+			const matched = new Set();
+			this._data.forEach(leftRow => {
+				const matches = index.get(getKey(leftRow, leftKeys));
+				if (matches) {
+					matches.forEach(rowIndex => {
+						matched.add(rowIndex);
+						newData.push(mergeRows(leftRow, other._data[rowIndex]));
+					});
+				}
+				else if (how !== 'inner') {
+					newData.push(mergeRows(leftRow, null));
+				}
+			});
+			if (how === 'outer') {
+				other._data.forEach((rightRow, rowIndex) => {
+					if (!matched.has(rowIndex))
+						newData.push(mergeRows(null, rightRow));
+				});
+			}
 		}
 
-		if (!inPlace)
-			return new DataFrame(newData).dropDuplicates();
+		const dtypes = ['semi', 'anti'].includes(how)
+			? this._dtypes
+			: {
+				...this._columns.reduce((acc, column, index) => ({ ...acc, [leftColumns[index]]: this._dtypes[column] }), {}),
+				...otherColumns.reduce((acc, column, index) => ({ ...acc, [rightColumns[index]]: other._dtypes[column] }), {})
+			};
 
-		this._data = newData;
-		this.columns = Array.from(new Set([...this._columns, ...other._columns]));
-		return this.dropDuplicates();
+		if (inPlace) {
+			this._data = newData;
+			this._dtypes = dtypes;
+			this._index = null;
+			this._indexName = null;
+			this.columns = newColumns;
+			return this;
+		}
+		const df = new DataFrame(newData, { dtype: dtypes });
+		df.columns = newColumns;
+		return df;
 	}
 
 	/**
 	* Adds a new column to the DataFrame
 	* @param {string} name Name of the new column
-	* @param {(*|*[]|Series)} column Content of the new column as an array, a Series or any value (to be set on every rows)
+	* @param {(*|*[]|Series)} column Content of the new column as an array, a Series or any value (to be set on every rows); if both the DataFrame and the Series have an index, values are matched by label
 	* @param {Object} [options]
 	* @param {boolean} [options.extend=false] If the new column is not the same length as the DataFrame, extends the DataFrame
 	* @param {boolean} [options.inPlace=false] Changes the current DataFrame instead of returning a new one
@@ -532,32 +1275,60 @@ class DataFrame {
 			{ key: 'inPlace', type: 'boolean' }
 		]);
 
-		const data = column instanceof Series
+		let data = column instanceof Series
 			? column.toArray()
 			: (Array.isArray(column) ? column : new Array(this.length).fill(column));
 		const extend = options.extend || false;
 		const inPlace = options.inPlace || false;
 
+		// A Series with an index is aligned on the labels of the rows rather than on their positions
+		const aligned = column instanceof Series && column._index !== null && this._index !== null;
+		if (aligned) {
+			const positions = new Map();
+			column._index.forEach((label, index) => {
+				const key = Series._comparable(label);
+				if (!positions.has(key)) positions.set(key, index);
+			});
+			data = this._index.map(label => {
+				const key = Series._comparable(label);
+				return positions.has(key) ? column.get(positions.get(key)) : null;
+			});
+		}
+
 		const newData = this._data.map((row, index) => {
 			return {
 				...row,
 				[name]: index < data.length ? data[index] : null
 			};
 		});
-		if (extend) {
+		if (extend && !aligned) {
 			data.slice(this.length).forEach(e => {
-				newData.push({
-					...Object.fromEntries(this._columns.map(column => ({ [column]: null }))),
-					[name]: e
-				});
+				const row = {};
+				this._columns.forEach(column => row[column] = null);
+				row[name] = e;
+				newData.push(row);
 			});
 		}
+		// Rows added by extending the DataFrame have N/A labels
+		const index = this._index && this._index.concat(newData.slice(this.length).map(() => this._naLabel()));
+		const categories = column instanceof Series && column._categories
+			? { ...this._categories, [name]: column._categories }
+			: this._categories;
 		if (inPlace) {
+			if (column instanceof Series)
+				this._dtypes[name] = column.dtype;
+			this._categories = categories;
 			this._data = newData;
+			this._index = index;
 			this.columns = [...this._columns, name];
 			return this;
 		}
-		return new DataFrame(newData);
+		return new DataFrame(newData, {
+			dtype: column instanceof Series ? { ...this._dtypes, [name]: column.dtype } : this._dtypes,
+			index,
+			indexName: this._indexName,
+			categories
+		});
 	}
 
 	/**
@@ -621,21 +1392,73 @@ class DataFrame {
 	}
 
 	/**
-	* Drops N/A values from the DataFrame
+	* Converts columns of the DataFrame to the given types
+	* @param {(string|Object<string, string>)} dtype Type to convert all columns to, or map of columns to their new types (`'number'`, `'string'`, `'boolean'`, `'date'` or `'object'`)
 	* @param {Object} [options]
-	* @param {('rows'|'columns')} [options.axis='rows'] Determines whether rows or columns should be dropped
-	* @param {*[]} [options.keep=[0, false]] Array of falsy values to keep in the DataFrame
+	* @param {('raise'|'coerce')} [options.errors='raise'] Whether values that cannot be converted should throw an error or be replaced by null
+	* @param {(string|Object<string, string>)} [options.format] Format of the dates to parse (e.g. `'%d/%m/%Y'`), or map of columns to their date formats; ISO dates are parsed if not set
 	* @param {boolean} [options.inPlace=false] Changes the current DataFrame instead of returning a new one
 	* @returns {DataFrame}
 	* @example
-	* // Drops all rows containg N/A values
-	* df.dropNA({ inPlace: true });
-	* // Drops all columns containing N/A values (but keeps empty strings as well as 0 and false)
-	* df.dropNA({ axis: 'columns', keep: [0, false, ''], inPlace: true });
+	* // Keeps the leading zeros of zip codes and converts the other columns
+	* df.astype({ zip: 'string', amount: 'number', active: 'boolean', date: 'date' }, { inPlace: true });
+	* // Parses French dates
+	* df.astype({ date: 'date' }, { format: '%d/%m/%Y', inPlace: true });
 	*/
-	dropNA(options = {}) {
-		Validator.options('DataFrame.dropNA()', options, [
-			{ key: 'axis', type: 'string', enum: ['rows', 'columns'] },
+	astype(dtype, options = {}) {
+		const dtypes = typeof dtype === 'string'
+			? this._columns.reduce((acc, column) => ({ ...acc, [column]: dtype }), {})
+			: dtype;
+		Validator.object('DataFrame.astype()', 'dtype', dtypes);
+		Validator.array('DataFrame.astype()', 'columns', Object.keys(dtypes), { enum: this._columns });
+		Validator.array('DataFrame.astype()', 'dtype', Object.values(dtypes), { enum: DTypes.types });
+		Validator.options('DataFrame.astype()', options, [
+			{ key: 'errors', type: 'string', enum: ['raise', 'coerce'] },
+			{ key: 'format', type: 'string|object' },
+			{ key: 'inPlace', type: 'boolean' }
+		]);
+
+		const errors = options.errors || 'raise';
+		const formats = typeof options.format === 'string'
+			? this._columns.reduce((acc, column) => ({ ...acc, [column]: options.format }), {})
+			: options.format || {};
+		const inPlace = options.inPlace || false;
+
+		const newData = this._data.map(row => Object.entries(dtypes).reduce((acc, [column, dtype]) => ({
+			...acc,
+			[column]: DTypes.cast(row[column], dtype, { method: 'DataFrame.astype()', errors, format: formats[column] })
+		}), row));
+		if (inPlace) {
+			this._data = newData;
+			this._dtypes = { ...this._dtypes, ...dtypes };
+			this.columns = this._columns;
+			return this;
+		}
+		const df = new DataFrame(newData, {
+			dtype: { ...this._dtypes, ...dtypes },
+			index: this._index,
+			indexName: this._indexName
+		});
+		df.columns = this._columns;
+		return df;
+	}
+
+	/**
+	* Drops N/A values from the DataFrame
+	* @param {Object} [options]
+	* @param {('rows'|'columns')} [options.axis='rows'] Determines whether rows or columns should be dropped
+	* @param {*[]} [options.keep=[0, false]] Array of falsy values to keep in the DataFrame
+	* @param {boolean} [options.inPlace=false] Changes the current DataFrame instead of returning a new one
+	* @returns {DataFrame}
+	* @example
+	* // Drops all rows containg N/A values
+	* df.dropNA({ inPlace: true });
+	* // Drops all columns containing N/A values (but keeps empty strings as well as 0 and false)
+	* df.dropNA({ axis: 'columns', keep: [0, false, ''], inPlace: true });
+	*/
+	dropNA(options = {}) {
+		Validator.options('DataFrame.dropNA()', options, [
+			{ key: 'axis', type: 'string', enum: ['rows', 'columns'] },
 			{ key: 'keep', type: '*[]' },
 			{ key: 'inPlace', type: 'boolean' }
 		]);
@@ -657,6 +1480,58 @@ class DataFrame {
 		}
 	}
 
+	/**
+	* Fills N/A values of the DataFrame
+	* @param {(*|Object)} value Value to replace N/A values with, filling strategy (as in `Series.fillNA()`, e.g. `{ method: 'ffill' }`), or map of columns to their values or filling strategies
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns=DataFrame.columns] Column or array of columns to fill, if `value` is not a map of columns
+	* @param {*[]} [options.keep=[0, false]] Array of falsy values not considered N/A
+	* @param {boolean} [options.inPlace=false] Changes the current DataFrame instead of returning a new one
+	* @returns {DataFrame}
+	* @example
+	* // Replaces all N/A values with 0
+	* df.fillNA(0, { inPlace: true });
+	* // Fills missing ages with the median age, missing cities with the most frequent one, and missing names with 'Unknown'
+	* df.fillNA({
+	*   age: { method: 'median' },
+	*   city: { method: 'mode' },
+	*   name: 'Unknown'
+	* });
+	*/
+	fillNA(value, options = {}) {
+		Validator.options('DataFrame.fillNA()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns },
+			{ key: 'keep', type: '*[]' },
+			{ key: 'inPlace', type: 'boolean' }
+		]);
+
+		const isMap = value !== null && typeof value === 'object' && !Array.isArray(value)
+			&& !(value instanceof Date) && !('method' in value);
+		if (isMap) {
+			if (options.columns !== undefined)
+				throw new Error('Invalid option in DataFrame.fillNA(): \'columns\' cannot be used with a map of columns');
+			Validator.array('DataFrame.fillNA()', 'columns', Object.keys(value), { enum: this._columns });
+		}
+		const values = isMap
+			? value
+			: this._selectColumns(options.columns || this._columns)
+				.reduce((acc, column) => ({ ...acc, [column]: value }), {});
+		Object.values(values).forEach(value => Series._fillStrategy('DataFrame.fillNA()', value));
+		const inPlace = options.inPlace || false;
+
+		const df = this._transform(
+			Object.keys(values),
+			(series, column) => series.fillNA(values[column], { keep: options.keep })
+		);
+		if (inPlace) {
+			this._data = df._data;
+			this._dtypes = df._dtypes;
+			this.columns = this._columns;
+			return this;
+		}
+		return df;
+	}
+
 	/**
 	* Drops duplicate rows from the DataFrame
 	* @param {Object} [options]
@@ -695,24 +1570,19 @@ class DataFrame {
 					rowsToDrop.push(indexB);
 			});
 		});
+		const positions = [...this._data.keys()].filter(index => !rowsToDrop.includes(index));
 		if (inPlace) {
-			rowsToDrop.sort((a, b) => b - a).forEach(index => {
-				this._data.splice(index, 1);
-			});
+			this._data = positions.map(index => this._data[index]);
+			this._index = this._index && positions.map(index => this._index[index]);
 			this.columns = this._columns;
 			return this;
 		}
-		const df = this.clone();
-		rowsToDrop.sort((a, b) => b - a).forEach(index => {
-			df._data.splice(index, 1);
-		});
-		df.columns = df._columns;
-		return df;
+		return this._take(positions);
 	}
 
 	/**
 	* Filters columns or rows of the DataFrame
-	* @param {(callback|string[])} filter Can be a callback (applied to rows or columns) or an array of column names to keep
+	* @param {(callback|string[]|Series)} filter Can be a callback (applied to rows or columns), an array of column names to keep or a boolean Series of the same length as the DataFrame (rows whose value is `true` are kept)
 	* @param {Object} [options]
 	* @param {('rows'|'columns')} [options.axis='rows'] Determines whether the callback should apply to rows or columns
 	* @param {boolean} [options.inPlace=false] Changes the current DataFrame instead of returning a new one
@@ -724,6 +1594,8 @@ class DataFrame {
 	* df.filter(row => row.date === '2020-04-20', { inPlace: true });
 	* // Only keeps columns whose name contains 'data'
 	* df.filter(column => column.includes('data'), { axis: 'columns', inPlace: true });
+	* // Only keeps rows whose url starts with 'https'
+	* df.filter(df.url.str.startsWith('https'), { inPlace: true });
 	*/
 	filter(filter, options = {}) {
 		Validator.options('DataFrame.filter()', options, [
@@ -734,7 +1606,12 @@ class DataFrame {
 		const axis = options.axis || 'rows';
 		const inPlace = options.inPlace || false;
 
-		if (typeof filter !== 'function') {
+		if (filter instanceof Series) {
+			if (axis === 'columns')
+				throw new Error('Invalid option in DataFrame.filter(): a boolean Series can only filter rows');
+			filter = Series._mask('DataFrame.filter()', filter, this.length);
+		}
+		else if (typeof filter !== 'function') {
 			Validator.array('DataFrame.filter()', 'filter', filter, {
 				type: 'string',
 				enum: this._columns
@@ -743,9 +1620,11 @@ class DataFrame {
 
 		let columnsToKeep;
 		let filteredData;
+		let positions = [...this._data.keys()];
 		if (typeof filter === 'function' && axis === 'rows') {
 			columnsToKeep = this._columns;
-			filteredData = this._data.filter(filter);
+			positions = positions.filter(index => filter(this._data[index], index, this._data));
+			filteredData = positions.map(index => this._data[index]);
 		}
 		else {
 			columnsToKeep = this._columns.filter(column => {
@@ -757,17 +1636,19 @@ class DataFrame {
 				return columnsToKeep.reduce((obj, key) => ({...obj, [key]: row[key] }), {});
 			});
 		}
+		const index = this._index && positions.map(position => this._index[position]);
 		if (inPlace) {
 			this._data = filteredData;
+			this._index = index;
 			this.columns = this._columns.filter(column => columnsToKeep.includes(column));
 			return this;
 		}
-		return new DataFrame(filteredData);
+		return new DataFrame(filteredData, { dtype: this._dtypes, index, indexName: this._indexName, categories: this._categories });
 	}
 
 	/**
 	* Drops columns or rows from the DataFrame
-	* @param {(callback|string[])} filter Can be a callback (applied to rows or columns) or an array of column names to drop
+	* @param {(callback|string[]|Series)} filter Can be a callback (applied to rows or columns), an array of column names to drop or a boolean Series of the same length as the DataFrame (rows whose value is `true` are dropped)
 	* @param {Object} [options]
 	* @param {('rows'|'columns')} [options.axis='rows'] Determines whether the callback should apply to rows or columns
 	* @param {boolean} [options.inPlace=false] Changes the current DataFrame instead of returning a new one
@@ -786,13 +1667,18 @@ class DataFrame {
 			{ key: 'inPlace', type: 'boolean' }
 		]);
 
+		if (filter instanceof Series) {
+			if (options.axis === 'columns')
+				throw new Error('Invalid option in DataFrame.drop(): a boolean Series can only drop rows');
+			filter = Series._mask('DataFrame.drop()', filter, this.length);
+		}
 		if (typeof filter === 'function')
-			return this.filter(e => !filter(e), options);
+			return this.filter((e, index) => !filter(e, index), options);
 		return this.filter(this._columns.filter(column => !filter.includes(column)), options);
 	}
 
 	/**
-	* Sorts the DataFrame
+	* Sorts the DataFrame, columns with categories being sorted in the order of their categories
 	* @param {(string|string[])} by Key or array of keys to sort the DataFrame by
 	* @param {Object} [options]
 	* @param {boolean} [options.reverse=false] Sorts the DataFrame in descending order
@@ -815,21 +1701,28 @@ class DataFrame {
 		const reverse = options.reverse || false;
 		const inPlace = options.inPlace || false;
 
-		const sortedData = [...this._data].sort((a, b) => {
+		// Dates are compared chronologically, categories in their order
+		const sortKeys = {};
+		keys.forEach(key => sortKeys[key] = Series._sortKey(this._categories[key]));
+		const value = (row, key) => row[key] instanceof Date ? row[key].getTime() : sortKeys[key](row[key]);
+
+		const positions = [...this._data.keys()].sort((indexA, indexB) => {
+			const a = this._data[indexA];
+			const b = this._data[indexB];
 			return keys.reduce((acc, key) => {
-				if (a[key] === b[key]) return 0;
+				if (acc || value(a, key) === value(b, key)) return acc;
 				if (reverse)
-					return acc || (b[key] < a[key] ? -1 : 1);
-				return acc || (a[key] < b[key] ? -1 : 1);
-
+					return value(b, key) < value(a, key) ? -1 : 1;
+				return value(a, key) < value(b, key) ? -1 : 1;
 			}, 0);
 		});
 		if (inPlace) {
-			this._data = sortedData;
+			this._data = positions.map(index => this._data[index]);
+			this._index = this._index && positions.map(index => this._index[index]);
 			this.columns = this._columns;
 			return this;
 		}
-		return new DataFrame(sortedData);
+		return this._take(positions);
 	}
 
 	/**
@@ -851,15 +1744,14 @@ class DataFrame {
 		const inPlace = options.inPlace || false;
 		const axis = options.axis || 'rows';
 		if (axis === 'rows') {
+			const positions = [...this._data.keys()].sort(() => Math.random() - 0.5);
 			if (inPlace) {
-				this._data.sort(() => Math.random() - 0.5);
+				this._data = positions.map(index => this._data[index]);
+				this._index = this._index && positions.map(index => this._index[index]);
 				this.columns = this._columns;
 				return this;
 			}
-			const df = this.clone();
-			df._data.sort(() => Math.random() - 0.5);
-			df.columns = df._columns;
-			return df;
+			return this._take(positions);
 		}
 		if (inPlace) {
 			this._columns.sort(() => Math.random() - 0.5);
@@ -886,6 +1778,764 @@ class DataFrame {
 		return new PivotTable(this, pivots);
 	}
 
+	/**
+	* Buckets the rows of the DataFrame into regular periods of a date column and aggregates them,
+	* emitting a row for every period between the first and last dates
+	* @param {string} column Date column to resample along
+	* @param {string} frequency Period (`'second'`, `'minute'`, `'hour'`, `'day'`, `'week'`, `'month'`, `'quarter'` or `'year'`, or their aliases `'s'`, `'min'`, `'h'`, `'D'`, `'W'`, `'M'`, `'Q'` and `'Y'`), optionally preceded by a multiple (e.g. `'15min'`)
+	* @param {Object<string, (string|callback|Array.<(string|callback)>|Object<string, (string|callback)>)>} [aggregations] Map of the columns to aggregate to their reducers, as in `PivotTable.agg()`; defaults to the last value of every other column
+	* @param {Object} [options]
+	* @param {*} [options.fillValue] Value to use in empty periods (reducers are applied to no rows if not set, e.g. counts and sums are 0)
+	* @param {('ffill'|'bfill'|'interpolate')} [options.method] Fills empty periods (typically when upsampling) with the previous non-empty period, the next one, or by linear interpolation over time
+	* @returns {DataFrame}
+	* @example
+	* // Computes the number of events and the total amount per week
+	* df.resample('date', 'week', { id: 'count', amount: 'sum' });
+	* // Upsamples daily measures to hourly ones, interpolating between them
+	* df.resample('date', 'h', { temperature: { temperature: 'mean' } }, { method: 'interpolate' });
+	*/
+	resample(column, frequency, aggregations, options = {}) {
+		Validator.string('DataFrame.resample()', 'column', column, { enum: this._columns });
+		const { period, step } = DateAccessor.parseFrequency('DataFrame.resample()', frequency);
+		Validator.options('DataFrame.resample()', options, [
+			{ key: 'fillValue' },
+			{ key: 'method', type: 'string', enum: ['ffill', 'bfill', 'interpolate'] }
+		]);
+		if (this._dtypes[column] !== 'date')
+			throw new Error(`Error in DataFrame.resample(): column '${column}' must be of type 'date'`);
+
+		const otherColumns = this._columns.filter(e => e !== column);
+		const reducers = PivotTable._parseAggregations(
+			'DataFrame.resample()',
+			aggregations || otherColumns.reduce((acc, e) => ({ ...acc, [e]: { [e]: 'last' } }), {}),
+			otherColumns
+		);
+		const method = options.method;
+
+		const buckets = new Map();
+		this._data.forEach(row => {
+			if (!(row[column] instanceof Date)) return;
+			const start = DateAccessor.floor(row[column], period, step).getTime();
+			if (!buckets.has(start)) buckets.set(start, []);
+			buckets.get(start).push(row);
+		});
+		if (buckets.size === 0)
+			return new DataFrame([], { dtype: { [column]: 'date' } });
+
+		const [first, last] = d3.extent(buckets.keys());
+		const newData = [];
+		for (let date = new Date(first); date.getTime() <= last; date = DateAccessor.add(date, step, `${period}s`)) {
+			const rows = buckets.get(date.getTime());
+			const newRow = { [column]: date };
+			reducers.forEach(({ name, column: source, reducer }) => {
+				newRow[name] = rows || (options.fillValue === undefined && !method)
+					? reducer((rows || []).map(row => row[source]), rows || [])
+					: (method ? null : options.fillValue);
+			});
+			newData.push({ row: newRow, empty: !rows });
+		}
+
+		if (method) {
+			const dates = new Series(newData.map(({ row }) => row[column]), { dtype: 'date' });
+			reducers.forEach(({ name }) => {
+				const series = new Series(newData.map(({ row }) => row[name]));
+				const filled = method === 'interpolate'
+					? series.interpolate({ method: 'time', dates })
+					: series.fillNA({ method });
+				filled.toArray().forEach((value, index) => newData[index].row[name] = value);
+			});
+		}
+
+		const df = new DataFrame(newData.map(({ row }) => row), { dtype: { [column]: 'date' } });
+		df.columns = [column, ...reducers.map(({ name }) => name)];
+		return df;
+	}
+
+	/**
+	* Returns a rolling window over columns of the DataFrame, on which statistics can be computed
+	* @param {number} window Number of rows in each window
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the statistics on (defaults to all number columns)
+	* @param {number} [options.minPeriods=window] Minimum number of non-N/A values in a window to compute a result
+	* @param {boolean} [options.center=false] Centers the windows on each row instead of ending them on it
+	* @returns {Window}
+	* @example
+	* // Computes the moving average of 'temperature' over 7 rows
+	* df.rolling(7, { columns: 'temperature' }).mean();
+	*/
+	rolling(window, options = {}) {
+		Validator.integer('DataFrame.rolling()', 'window', window, { range: [1, Infinity] });
+		Validator.options('DataFrame.rolling()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns },
+			{ key: 'minPeriods', type: 'number' },
+			{ key: 'center', type: 'boolean' }
+		]);
+
+		return new Window(this, 'rolling', 'DataFrame.rolling()', { ...options, window, columns: this._selectColumns(options.columns) });
+	}
+
+	/**
+	* Returns an expanding window over columns of the DataFrame, including all previous rows, on which statistics can be computed
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the statistics on (defaults to all number columns)
+	* @param {number} [options.minPeriods=1] Minimum number of non-N/A values in a window to compute a result
+	* @returns {Window}
+	* @example
+	* // Computes the running total of 'amount'
+	* df.expanding({ columns: 'amount' }).sum();
+	*/
+	expanding(options = {}) {
+		Validator.options('DataFrame.expanding()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns },
+			{ key: 'minPeriods', type: 'number' }
+		]);
+
+		return new Window(this, 'expanding', 'DataFrame.expanding()', { ...options, columns: this._selectColumns(options.columns) });
+	}
+
+	/**
+	* Returns an exponentially weighted window over columns of the DataFrame, on which the mean and standard deviation can be computed
+	* @param {Object} options Exactly one of `alpha`, `span` or `halfLife` is required
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the statistics on (defaults to all number columns)
+	* @param {number} [options.alpha] Smoothing factor, between 0 (excluded) and 1
+	* @param {number} [options.span] Span of the window, such as alpha = 2 / (span + 1)
+	* @param {number} [options.halfLife] Number of rows after which the weight of a value is halved
+	* @param {boolean} [options.adjust=true] Divides by the sum of the decaying weights, instead of computing the mean recursively
+	* @param {number} [options.minPeriods=1] Minimum number of non-N/A values to compute a result
+	* @returns {Window}
+	* @example
+	* // Computes the exponentially weighted moving average of 'price' with a half-life of 5 rows
+	* df.ewm({ columns: 'price', halfLife: 5 }).mean();
+	*/
+	ewm(options = {}) {
+		Validator.options('DataFrame.ewm()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns },
+			{ key: 'alpha', type: 'number' },
+			{ key: 'span', type: 'number' },
+			{ key: 'halfLife', type: 'number' },
+			{ key: 'adjust', type: 'boolean' },
+			{ key: 'minPeriods', type: 'number' }
+		]);
+
+		return new Window(this, 'ewm', 'DataFrame.ewm()', {
+			...options,
+			alpha: Window._alpha('DataFrame.ewm()', options),
+			columns: this._selectColumns(options.columns)
+		});
+	}
+
+	/**
+	* Returns a new DataFrame with the values of columns shifted by N rows, N/A values filling the edges
+	* @param {number} [n=1] Number of rows to shift by, backwards if negative
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to shift (defaults to all columns)
+	* @returns {DataFrame}
+	* @example
+	* // Adds the previous value of 'revenue'
+	* df.shift(1, { columns: 'revenue' });
+	*/
+	shift(n = 1, options = {}) {
+		Validator.integer('DataFrame.shift()', 'n', n);
+		Validator.options('DataFrame.shift()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns }
+		]);
+
+		const columns = options.columns !== undefined ? this._selectColumns(options.columns) : this._columns;
+		return this._transform(columns, series => series.shift(n));
+	}
+
+	/**
+	* Returns a new DataFrame with the difference between each value of columns and the value N rows before
+	* @param {number} [n=1] Number of rows to compute the difference with
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the difference on (defaults to all number columns)
+	* @returns {DataFrame}
+	*/
+	diff(n = 1, options = {}) {
+		Validator.integer('DataFrame.diff()', 'n', n);
+		Validator.options('DataFrame.diff()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns }
+		]);
+
+		return this._transform(this._selectColumns(options.columns), series => series.diff(n));
+	}
+
+	/**
+	* Returns a new DataFrame with the relative change between each value of columns and the value N rows before
+	* @param {number} [n=1] Number of rows to compute the change with
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the change on (defaults to all number columns)
+	* @returns {DataFrame}
+	* @example
+	* // Computes the growth rates of 'revenue'
+	* df.pctChange(1, { columns: 'revenue' });
+	*/
+	pctChange(n = 1, options = {}) {
+		Validator.integer('DataFrame.pctChange()', 'n', n);
+		Validator.options('DataFrame.pctChange()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns }
+		]);
+
+		return this._transform(this._selectColumns(options.columns), series => series.pctChange(n));
+	}
+
+	/**
+	* Returns a new DataFrame with the cumulative sum of columns, N/A values being skipped
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the cumulative sum on (defaults to all number columns)
+	* @returns {DataFrame}
+	* @example
+	* // Computes the running total of 'amount'
+	* df.cumsum({ columns: 'amount' });
+	*/
+	cumsum(options = {}) {
+		Validator.options('DataFrame.cumsum()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns }
+		]);
+
+		return this._transform(this._selectColumns(options.columns), series => series.cumsum());
+	}
+
+	/**
+	* Returns a new DataFrame with the cumulative product of columns, N/A values being skipped
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the cumulative product on (defaults to all number columns)
+	* @returns {DataFrame}
+	*/
+	cumprod(options = {}) {
+		Validator.options('DataFrame.cumprod()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns }
+		]);
+
+		return this._transform(this._selectColumns(options.columns), series => series.cumprod());
+	}
+
+	/**
+	* Returns a new DataFrame with the cumulative minimum of columns, N/A values being skipped
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the cumulative minimum on (defaults to all number columns)
+	* @returns {DataFrame}
+	*/
+	cummin(options = {}) {
+		Validator.options('DataFrame.cummin()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns }
+		]);
+
+		return this._transform(this._selectColumns(options.columns), series => series.cummin());
+	}
+
+	/**
+	* Returns a new DataFrame with the cumulative maximum of columns, N/A values being skipped
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the cumulative maximum on (defaults to all number columns)
+	* @returns {DataFrame}
+	*/
+	cummax(options = {}) {
+		Validator.options('DataFrame.cummax()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns }
+		]);
+
+		return this._transform(this._selectColumns(options.columns), series => series.cummax());
+	}
+
+	_transform(columns, callback, pivots = []) {
+		const data = this._data.map(row => ({ ...row }));
+
+		const groups = new Map();
+		data.forEach((row, index) => {
+			const key = JSON.stringify(pivots.map(pivot => row[pivot]));
+			if (!groups.has(key)) groups.set(key, []);
+			groups.get(key).push(index);
+		});
+
+		const dtypes = { ...this._dtypes };
+		columns.forEach(column => {
+			groups.forEach(indexes => {
+				const series = callback(new Series(indexes.map(index => data[index][column]), { dtype: this._dtypes[column] }), column);
+				series.toArray().forEach((value, i) => data[indexes[i]][column] = value);
+				dtypes[column] = series.dtype;
+			});
+		});
+
+		const df = new DataFrame(data, { dtype: dtypes, index: this._index, indexName: this._indexName, categories: this._categories });
+		df.columns = this._columns;
+		return df;
+	}
+
+	_selectColumns(columns) {
+		if (columns === undefined)
+			return this._columns.filter(column => this._dtypes[column] === 'number');
+		return Array.isArray(columns) ? columns : [columns];
+	}
+
+	/**
+	* Returns descriptive statistics of columns, as a DataFrame indexed by the names of the statistics
+	* with one column per described column (see `Series.describe()`, including for the types of the columns)
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns=DataFrame.columns] Column or array of columns to describe
+	* @param {number[]} [options.percentiles=[0.25, 0.5, 0.75]] Percentiles to compute for numbers, between 0 and 1
+	* @returns {DataFrame}
+	* @example
+	* // Displays a profile of the DataFrame
+	* df.describe().show();
+	*
+	* // Exports deciles of the number columns, with the names of the statistics
+	* df.describe({ columns: ['age', 'income'], percentiles: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9] })
+	*   .resetIndex({ name: 'statistic' })
+	*   .toCSV('profile.csv');
+	*/
+	describe(options = {}) {
+		Validator.options('DataFrame.describe()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns },
+			{ key: 'percentiles', type: 'number[]' }
+		]);
+
+		const columns = options.columns
+			? (Array.isArray(options.columns) ? options.columns : [options.columns])
+			: this._columns;
+
+		const descriptions = columns.map(column => {
+			return new Series(this._data.map(row => row[column]), { dtype: this._dtypes[column] })
+				._describe('DataFrame.describe()', { percentiles: options.percentiles });
+		});
+		// Statistics of other types come before those of numbers, which are ordered as in their descriptions
+		const statistics = [...new Set([
+			'count', 'na', 'unique', 'top', 'freq',
+			...descriptions.filter(description => 'mean' in description).concat(descriptions)
+				.flatMap(description => Object.keys(description))
+		])].filter(statistic => descriptions.some(description => statistic in description));
+
+		const data = statistics.map(statistic => {
+			const row = {};
+			columns.forEach((column, index) => {
+				row[column] = statistic in descriptions[index] ? descriptions[index][statistic] : null;
+			});
+			return row;
+		});
+		const dtypes = {};
+		columns.forEach(column => dtypes[column] = Series._statisticsDType(data.map(row => row[column])));
+		const df = new DataFrame(data, { dtype: dtypes, index: statistics });
+		df.columns = columns;
+		return df;
+	}
+
+	/**
+	* Returns the correlation matrix of columns, as a square DataFrame indexed by the names of the columns,
+	* each correlation being computed on the rows where both values are not N/A (see `Series.corr()`)
+	* @param {Object} [options]
+	* @param {string[]} [options.columns] Columns to correlate (defaults to all number columns)
+	* @param {('pearson'|'spearman'|'kendall')} [options.method='pearson'] Correlation coefficient: linear, or based on the ranks of the values
+	* @param {number} [options.minPeriods=1] Minimum number of pairs of values to compute a correlation, N/A being returned otherwise
+	* @returns {DataFrame}
+	* @example
+	* // Displays how the indicators move together
+	* df.corr({ columns: ['gdp', 'population', 'emissions'] }).show();
+	*/
+	corr(options = {}) {
+		Series._validateCorrOptions('DataFrame.corr()', options, [
+			{ key: 'columns', type: 'string[]', enum: this._columns },
+			{ key: 'method', type: 'string', enum: ['pearson', 'spearman', 'kendall'] }
+		]);
+
+		return this._pairwiseMatrix('DataFrame.corr()', options.columns, (x, y) => {
+			return Series._correlation(x, y, options.method || 'pearson', options.minPeriods || 1);
+		});
+	}
+
+	/**
+	* Returns the covariance matrix of columns, as a square DataFrame indexed by the names of the columns,
+	* each sample covariance being computed on the rows where both values are not N/A
+	* @param {Object} [options]
+	* @param {string[]} [options.columns] Columns to compute the covariances of (defaults to all number columns)
+	* @param {number} [options.minPeriods=1] Minimum number of pairs of values to compute a covariance, N/A being returned otherwise
+	* @returns {DataFrame}
+	*/
+	cov(options = {}) {
+		Series._validateCorrOptions('DataFrame.cov()', options, [
+			{ key: 'columns', type: 'string[]', enum: this._columns }
+		]);
+
+		return this._pairwiseMatrix('DataFrame.cov()', options.columns, (x, y) => {
+			return Series._covariance(x, y, options.minPeriods || 1);
+		});
+	}
+
+	/**
+	* Performs a chi-squared test of independence on a contingency table, such as the one returned by `Kiwis.crosstab()` without margins,
+	* all columns containing the observed frequencies
+	* @param {Object} [options]
+	* @param {boolean} [options.correction=false] Applies Yates' continuity correction when there is a single degree of freedom
+	* @returns {{ statistic: number, dof: number, pValue: number, expected: DataFrame }} The chi-squared statistic, the number of degrees of freedom,
+	* the probability of a statistic at least as high if rows and columns were independent, and the expected frequencies
+	* @example
+	* // Tests whether the answers depend on the gender, at the 5% level
+	* const { pValue } = kw.crosstab(df.gender, df.answer).chiSquared();
+	* if (pValue < 0.05) console.log('The answers depend on the gender');
+	*/
+	chiSquared(options = {}) {
+		Validator.options('DataFrame.chiSquared()', options, [
+			{ key: 'correction', type: 'boolean' }
+		]);
+
+		const observed = this._data.map(row => this._columns.map(column => row[column]));
+		if (observed.some(row => row.some(value => typeof value !== 'number' || Number.isNaN(value) || value < 0)))
+			throw new Error('Error in DataFrame.chiSquared(): all values must be non-negative numbers');
+		if (this.length < 2 || this._columns.length < 2)
+			throw new Error('Error in DataFrame.chiSquared(): the table must have at least 2 rows and 2 columns');
+
+		const rowTotals = observed.map(row => d3.sum(row));
+		const columnTotals = this._columns.map((column, j) => d3.sum(observed, row => row[j]));
+		const total = d3.sum(rowTotals);
+		if (rowTotals.includes(0) || columnTotals.includes(0))
+			throw new Error('Error in DataFrame.chiSquared(): rows and columns cannot only contain zeros');
+
+		const expected = rowTotals.map(rowTotal => columnTotals.map(columnTotal => rowTotal * columnTotal / total));
+		const dof = (this.length - 1) * (this._columns.length - 1);
+		const correction = options.correction && dof === 1;
+		const statistic = d3.sum(observed, (row, i) => d3.sum(row, (value, j) => {
+			const difference = correction
+				? Math.max(0, Math.abs(value - expected[i][j]) - 0.5)
+				: value - expected[i][j];
+			return difference * difference / expected[i][j];
+		}));
+
+		const df = new DataFrame(expected.map(values => {
+			const row = {};
+			this._columns.forEach((column, j) => row[column] = values[j]);
+			return row;
+		}), { index: this._index, indexName: this._indexName });
+		df.columns = this._columns;
+		return { statistic, dof, pValue: DataFrame._chiSquaredSurvival(statistic, dof), expected: df };
+	}
+
+	// Probability for a chi-squared variable to exceed x, i.e. the regularized upper incomplete gamma function Q(dof / 2, x / 2)
+	static _chiSquaredSurvival(x, dof) {
+		const a = dof / 2;
+		const y = x / 2;
+		if (y <= 0)
+			return 1;
+
+		// Lanczos approximation of the logarithm of the gamma function
+		const coefficients = [
+			0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+			12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+		];
+		const sum = coefficients.slice(1).reduce((acc, coefficient, i) => acc + coefficient / (a + i), coefficients[0]);
+		const logGamma = 0.5 * Math.log(2 * Math.PI) + (a - 0.5) * Math.log(a + 6.5) - (a + 6.5) + Math.log(sum);
+		const factor = Math.exp(-y + a * Math.log(y) - logGamma);
+
+		if (y < a + 1) {
+			// Series expansion of the lower incomplete gamma function
+			let term = 1 / a;
+			let series = term;
+			for (let n = 1; n < 1000 && term > series * 1e-15; n++) {
+				term *= y / (a + n);
+				series += term;
+			}
+			return Math.min(1, Math.max(0, 1 - series * factor));
+		}
+
+		// Continued fraction of the upper incomplete gamma function, evaluated with Lentz's method
+		const tiny = 1e-300;
+		let b = y + 1 - a;
+		let c = 1 / tiny;
+		let d = 1 / b;
+		let fraction = d;
+		for (let n = 1; n < 1000; n++) {
+			const an = -n * (n - a);
+			b += 2;
+			d = an * d + b;
+			if (Math.abs(d) < tiny) d = tiny;
+			c = b + an / c;
+			if (Math.abs(c) < tiny) c = tiny;
+			d = 1 / d;
+			fraction *= d * c;
+			if (Math.abs(d * c - 1) < 1e-15) break;
+		}
+		return Math.min(1, Math.max(0, fraction * factor));
+	}
+
+	_pairwiseMatrix(method, columns, callback) {
+		columns = this._selectColumns(columns);
+		const series = columns.map(column => new Series(this._data.map(row => row[column]), { dtype: this._dtypes[column] }));
+
+		// The matrix is symmetric, so each pair of columns is only computed once
+		const matrix = columns.map(() => []);
+		columns.forEach((column, i) => {
+			for (let j = i; j < columns.length; j++)
+				matrix[i][j] = matrix[j][i] = callback(...series[i]._pairwise(method, series[j]));
+		});
+
+		const dtypes = {};
+		columns.forEach(column => dtypes[column] = 'number');
+		const df = new DataFrame(matrix.map(values => {
+			const row = {};
+			columns.forEach((column, j) => row[column] = values[j]);
+			return row;
+		}), { dtype: dtypes, index: columns });
+		df.columns = columns;
+		return df;
+	}
+
+	/**
+	* Unpivots the DataFrame from wide to long format, returning a DataFrame with one row per original row and value column
+	* @param {Object} [options]
+	* @param {(string|string[]|callback)} [options.idColumns=[]] Column, array of columns or callback applied to the column names, selecting the columns to keep as identifiers
+	* @param {(string|string[]|callback)} [options.valueColumns] Column, array of columns or callback applied to the column names, selecting the columns to unpivot (defaults to all columns that are not identifiers)
+	* @param {string} [options.varName='variable'] Name to use for the column containing the names of the unpivoted columns
+	* @param {string} [options.valueName='value'] Name to use for the column containing the values of the unpivoted columns
+	* @param {boolean} [options.dropNA=false] Drops rows whose value is N/A
+	* @param {*[]} [options.keep=[0, false]] Array of falsy values not considered N/A when dropping
+	* @returns {DataFrame}
+	* @example
+	* // Unpivots all year columns into 'year' and 'population' columns
+	* df.melt({
+	*   idColumns: ['country'],
+	*   valueColumns: column => /^\d{4}$/.test(column),
+	*   varName: 'year',
+	*   valueName: 'population',
+	*   dropNA: true
+	* });
+	*/
+	melt(options = {}) {
+		Validator.options('DataFrame.melt()', options, [
+			{ key: 'idColumns', type: 'string|string[]|function' },
+			{ key: 'valueColumns', type: 'string|string[]|function' },
+			{ key: 'varName', type: 'string' },
+			{ key: 'valueName', type: 'string' },
+			{ key: 'dropNA', type: 'boolean' },
+			{ key: 'keep', type: '*[]' }
+		]);
+
+		const selectColumns = (name, selection) => {
+			if (typeof selection === 'function')
+				return this._columns.filter(selection);
+			const columns = Array.isArray(selection) ? selection : [selection];
+			Validator.array('DataFrame.melt()', name, columns, { type: 'string', enum: this._columns });
+			return columns;
+		};
+
+		const idColumns = options.idColumns !== undefined
+			? selectColumns('idColumns', options.idColumns)
+			: [];
+		const valueColumns = options.valueColumns !== undefined
+			? selectColumns('valueColumns', options.valueColumns)
+			: this._columns.filter(column => !idColumns.includes(column));
+		const varName = options.varName || 'variable';
+		const valueName = options.valueName || 'value';
+		const dropNA = options.dropNA || false;
+		const keep = options.keep || [0, false];
+
+		if (varName === valueName || [varName, valueName].some(name => idColumns.includes(name)))
+			throw new Error('Invalid option in DataFrame.melt(): \'varName\' and \'valueName\' must be different from each other and from the identifier columns');
+
+		const newData = [];
+		valueColumns.forEach(column => {
+			this._data.forEach(row => {
+				if (dropNA && this._kw.isNA(row[column], { keep })) return;
+				const newRow = {};
+				idColumns.forEach(idColumn => newRow[idColumn] = row[idColumn]);
+				newRow[varName] = column;
+				newRow[valueName] = row[column] !== undefined ? row[column] : null;
+				newData.push(newRow);
+			});
+		});
+
+		const df = new DataFrame(newData, {
+			dtype: idColumns.reduce((acc, column) => ({ ...acc, [column]: this._dtypes[column] }), {})
+		});
+		df.columns = [...idColumns, varName, valueName];
+		return df;
+	}
+
+	/**
+	* Replaces categorical columns by indicator columns, one per category, equal to 1 on the rows of the category and 0 otherwise
+	* @param {(string|string[])} [columns] Column or array of columns to encode (defaults to all string columns)
+	* @param {Object} [options]
+	* @param {(string|Object<string, string>)} [options.prefix] Prefix of the indicator columns, or map of columns to their prefixes
+	* @param {string} [options.separator='_'] Separator between the prefix and the category
+	* @param {boolean} [options.dropFirst=false] Drops the indicator column of the first category
+	* @param {boolean} [options.dummyNA=false] Adds an indicator column for N/A values
+	* @param {boolean} [options.inPlace=false] Changes the current DataFrame instead of returning a new one
+	* @returns {DataFrame}
+	* @example
+	* // Replaces 'color' by the columns 'color_blue', 'color_green' and 'color_red'
+	* df.getDummies('color');
+	*
+	* // Encodes two columns with short prefixes, without redundant columns
+	* df.getDummies(['country', 'gender'], { prefix: { country: 'c', gender: 'g' }, dropFirst: true, inPlace: true });
+	*/
+	getDummies(columns, options = {}) {
+		if (columns !== undefined) {
+			if (!Array.isArray(columns))
+				Validator.string('DataFrame.getDummies()', 'columns', columns, { enum: this._columns });
+			Validator.array('DataFrame.getDummies()', 'columns', [].concat(columns), { type: 'string', enum: this._columns });
+		}
+		Validator.options('DataFrame.getDummies()', options, [
+			{ key: 'prefix', type: 'string|object' },
+			{ key: 'separator', type: 'string' },
+			{ key: 'dropFirst', type: 'boolean' },
+			{ key: 'dummyNA', type: 'boolean' },
+			{ key: 'inPlace', type: 'boolean' }
+		]);
+
+		const encoded = columns !== undefined
+			? [].concat(columns)
+			: this._columns.filter(column => this._dtypes[column] === 'string');
+		const separator = options.separator !== undefined ? options.separator : '_';
+		const dropFirst = options.dropFirst || false;
+		const dummyNA = options.dummyNA || false;
+		const inPlace = options.inPlace || false;
+		const prefixes = {};
+		encoded.forEach(column => {
+			prefixes[column] = typeof options.prefix === 'string' ? options.prefix
+				: options.prefix && options.prefix[column] !== undefined ? options.prefix[column] : column;
+		});
+
+		// Each encoded column is replaced by its indicator columns, each with the code of its category
+		const indicators = {};
+		const newColumns = this._columns.flatMap(column => {
+			if (!encoded.includes(column))
+				return [column];
+			const { codes, categories } = new Series(this._data.map(row => row[column]), { dtype: this._dtypes[column] })
+				.factorize({ sort: true });
+			const names = categories.map(category => `${prefixes[column]}${separator}${DTypes.toString(category)}`);
+			indicators[column] = { codes: codes.toArray(), names, first: dropFirst ? 1 : 0 };
+			const na = dummyNA ? [`${prefixes[column]}${separator}N/A`] : [];
+			return [...names.slice(indicators[column].first), ...na];
+		});
+		if (new Set(newColumns).size < newColumns.length)
+			throw new Error('Error in DataFrame.getDummies(): multiple columns would have the same name, use another prefix or separator');
+
+		const data = this._data.map((row, index) => {
+			const newRow = {};
+			this._columns.forEach(column => {
+				if (!encoded.includes(column)) {
+					newRow[column] = row[column];
+					return;
+				}
+				const { codes, names, first } = indicators[column];
+				names.slice(first).forEach((name, code) => newRow[name] = codes[index] === code + first ? 1 : 0);
+				if (dummyNA)
+					newRow[`${prefixes[column]}${separator}N/A`] = codes[index] === null ? 1 : 0;
+			});
+			return newRow;
+		});
+		const dtypes = {};
+		newColumns.forEach(column => {
+			dtypes[column] = this._columns.includes(column) && !encoded.includes(column) ? this._dtypes[column] : 'number';
+		});
+
+		const df = new DataFrame(data, { dtype: dtypes, index: this._index, indexName: this._indexName });
+		df.columns = newColumns;
+		if (inPlace) {
+			this._data = df._data;
+			this._dtypes = df._dtypes;
+			this.columns = newColumns;
+			return this;
+		}
+		return df;
+	}
+
+	/**
+	* Reverses `DataFrame.getDummies()`, replacing groups of indicator columns sharing a prefix by a string column named after the prefix
+	* @param {Object} [options]
+	* @param {string} [options.separator='_'] Separator between the prefix and the category
+	* @param {string[]} [options.columns] Indicator columns to decode (defaults to the groups of 0/1 columns sharing a prefix)
+	* @param {(string|Object<string, string>)} [options.default] Category of the rows where all indicator columns are 0, or map of prefixes to these categories
+	* @param {boolean} [options.inPlace=false] Changes the current DataFrame instead of returning a new one
+	* @returns {DataFrame}
+	* @example
+	* // Restores the column 'color' from 'color_blue', 'color_green' and 'color_red'
+	* df.fromDummies();
+	*
+	* // Restores a column encoded with dropFirst
+	* df.fromDummies({ default: { color: 'black' } });
+	*/
+	fromDummies(options = {}) {
+		Validator.options('DataFrame.fromDummies()', options, [
+			{ key: 'separator', type: 'string' },
+			{ key: 'columns', type: 'string[]', enum: this._columns },
+			{ key: 'default', type: 'string|object' },
+			{ key: 'inPlace', type: 'boolean' }
+		]);
+
+		const separator = options.separator !== undefined ? options.separator : '_';
+		const inPlace = options.inPlace || false;
+		if (separator === '')
+			throw new Error('Invalid option in DataFrame.fromDummies(): \'separator\' cannot be empty');
+
+		const isIndicator = column => this._data.every(row => [0, 1, true, false].includes(row[column]));
+		const prefixOf = column => column.slice(0, column.indexOf(separator));
+		let dummies = options.columns;
+		if (!dummies) {
+			const candidates = this._columns.filter(column => column.includes(separator) && isIndicator(column));
+			const exclusive = columns => columns.length >= 2 && this._data.every(row => d3.sum(columns, column => +row[column]) <= 1);
+			const accepted = new Set([...new Set(candidates.map(prefixOf))]
+				.filter(prefix => exclusive(candidates.filter(column => prefixOf(column) === prefix))));
+			dummies = candidates.filter(column => accepted.has(prefixOf(column)));
+		}
+		dummies.forEach(column => {
+			if (!column.includes(separator))
+				throw new Error(`Invalid option in DataFrame.fromDummies(): column '${column}' does not contain the separator`);
+			if (!isIndicator(column))
+				throw new Error(`Error in DataFrame.fromDummies(): column '${column}' must only contain 0, 1, true or false`);
+		});
+
+		// Indicator columns are grouped by prefix, the decoded column taking the place of the first one
+		const groups = new Map();
+		dummies.forEach(column => {
+			const prefix = prefixOf(column);
+			if (!groups.has(prefix)) groups.set(prefix, []);
+			groups.get(prefix).push(column);
+		});
+		const newColumns = this._columns.flatMap(column => {
+			if (!dummies.includes(column))
+				return [column];
+			const prefix = prefixOf(column);
+			return groups.get(prefix)[0] === column ? [prefix] : [];
+		});
+		if (new Set(newColumns).size < newColumns.length)
+			throw new Error('Error in DataFrame.fromDummies(): a prefix is already the name of another column');
+
+		const defaults = {};
+		groups.forEach((group, prefix) => {
+			defaults[prefix] = typeof options.default === 'string' ? options.default
+				: options.default && options.default[prefix] !== undefined ? options.default[prefix] : null;
+		});
+		const data = this._data.map((row, index) => {
+			const newRow = {};
+			newColumns.forEach(column => {
+				if (!groups.has(column)) {
+					newRow[column] = row[column];
+					return;
+				}
+				const active = groups.get(column).filter(dummy => row[dummy] === 1 || row[dummy] === true);
+				if (active.length > 1)
+					throw new Error(`Error in DataFrame.fromDummies(): multiple indicator columns of '${column}' are set on row ${index}`);
+				const category = active.length > 0 ? active[0].slice(column.length + separator.length) : defaults[column];
+				newRow[column] = category !== 'N/A' ? category : null;
+			});
+			return newRow;
+		});
+		const dtypes = {};
+		newColumns.forEach(column => dtypes[column] = groups.has(column) ? 'string' : this._dtypes[column]);
+
+		const df = new DataFrame(data, {
+			dtype: dtypes,
+			index: this._index,
+			indexName: this._indexName
+		});
+		df.columns = newColumns;
+		if (inPlace) {
+			this._data = df._data;
+			this._dtypes = df._dtypes;
+			this.columns = newColumns;
+			return this;
+		}
+		return df;
+	}
+
 	/**
 	* Formats the DataFrame for display
 	* @returns {string}
@@ -899,14 +2549,28 @@ class DataFrame {
 		const MAX_LENGTH = 25;
 		const NB_COLS = 180;
 
+		// Each level of the index is displayed in its own column
+		const format = value => !this._kw.isNA(value) ? DTypes.toString(value) : 'N/A';
+		const levelNames = Array.isArray(this._indexName) ? this._indexName : [this._indexName];
+		const levelLabels = this._labels().slice(0, MAX_LENGTH)
+			.map(label => Array.isArray(this._indexName) ? label.map(format) : [format(label)]);
+		const levelWidths = levelNames.map((name, level) => Math.min(
+			MAX_WIDTH,
+			Math.max((name || '').length, ...levelLabels.map(label => label[level].length))
+		));
+		const joinLevels = cells => cells
+			.map((cell, level) => cell.substr(0, MAX_WIDTH).padEnd(levelWidths[level]))
+			.join(' | ');
+		const header = joinLevels(levelNames.map(name => name || ''));
+		const labels = levelLabels.map(joinLevels);
 		const widths = [
-			Math.min(MAX_LENGTH.toString().length, this.length.toString().length),
+			header.length,
 			...this._columns
 				.map(column => Math.max(
 					column.length,
 					d3.max(
 						this._data.slice(0, MAX_LENGTH),
-						d => !this._kw.isNA(d[column]) ? d[column].toString().length : 0
+						d => !this._kw.isNA(d[column]) ? DTypes.toString(d[column]).length : 'N/A'.length
 					)
 				))
 				.map(width => width > MAX_WIDTH ? MAX_WIDTH : width)
@@ -920,7 +2584,7 @@ class DataFrame {
 
 		const lines = [];
 		lines.push([
-			''.padEnd(widths[0]),
+			header,
 			...visibleColumns.map((column, index) => column.padStart(widths[index + 1]))
 		].join(' | '));
 		lines.push(
@@ -929,9 +2593,9 @@ class DataFrame {
 		);
 		this._data.slice(0, MAX_LENGTH).forEach((row, index) => {
 			const line = [
-				index.toString().padEnd(widths[0]),
+				labels[index],
 				...visibleColumns.map((column, index) => {
-					const cell = !this._kw.isNA(row[column]) ? row[column].toString() : 'N/A';
+					const cell = !this._kw.isNA(row[column]) ? DTypes.toString(row[column]) : 'N/A';
 					return cell.length > MAX_WIDTH
 						? `${cell.substr(0, MAX_WIDTH - 3)}...`
 						: cell.padStart(widths[index + 1]);
@@ -959,33 +2623,92 @@ class DataFrame {
 	* @param {string} [path=null] Path of the file to save
 	* @param {Object} [options]
 	* @param {string} [options.delimiter=','] Delimiter to use
+	* @param {('minimal'|'all'|'nonnumeric')} [options.quoting='minimal'] Fields to quote: only those containing the delimiter, a quote or a line break, all of them, or all but numbers and N/A values
+	* @param {string} [options.lineTerminator='\n'] Characters ending each line, e.g. `'\r\n'` as specified by RFC 4180
+	* @param {boolean} [options.header=true] Writes the column names on the first line
+	* @param {string[]} [options.columns] Columns to write, in this order (defaults to all columns)
+	* @param {string} [options.naRep=''] Representation of N/A values
+	* @param {string} [options.dateFormat] Format of the dates (e.g. `'%d/%m/%Y'`), ISO dates being written by default
+	* @param {number} [options.floatPrecision] Number of decimals of non-integer numbers
+	* @param {boolean} [options.bom=false] Starts the content with a byte order mark, e.g. for spreadsheet software to detect UTF-8
+	* @param {string} [options.encoding='utf8'] Encoding of the file
 	* @returns {string|undefined} A CSV string if `path` is not set
 	* @example
 	* df.toCSV('myAwesomeData.csv'); // to CSV
 	* df.toCSV('myAwesomeData.tsv', { delimiter: '\t' }); // to TSV
+	*
+	* // Exports two columns for a spreadsheet software, with French dates and rounded numbers
+	* df.toCSV('export.csv', { columns: ['date', 'value'], dateFormat: '%d/%m/%Y', floatPrecision: 2, bom: true });
 	*/
 	toCSV(path = null, options = {}) {
-		Validator.options('DataFrame.toCSV()', options, [
-			{ key: 'delimiter', type: 'string' }
+		DataFrame._validateCSVWriteOptions('DataFrame.toCSV()', options, [
+			{ key: 'columns', type: 'string[]', enum: this._columns }
 		]);
 
+		const content = (options.bom ? '\ufeff' : '') + this._formatCSV({
+			...options,
+			columns: options.columns || this._columns
+		});
+		if (!path) return content;
+		eval('require')('fs').writeFileSync(path, content, { encoding: options.encoding || 'utf8' });
+	}
+
+	static _validateCSVWriteOptions(method, options, extraOptions = []) {
+		Validator.options(method, options, [
+			{ key: 'delimiter', type: 'string' },
+			{ key: 'quoting', type: 'string', enum: ['minimal', 'all', 'nonnumeric'] },
+			{ key: 'lineTerminator', type: 'string' },
+			{ key: 'header', type: 'boolean' },
+			{ key: 'naRep', type: 'string' },
+			{ key: 'dateFormat', type: 'string' },
+			{ key: 'floatPrecision', type: 'number' },
+			{ key: 'bom', type: 'boolean' },
+			{ key: 'encoding', type: 'string' },
+			...extraOptions
+		]);
+		if (options.delimiter !== undefined && options.delimiter.length !== 1)
+			throw new Error(`Invalid option in ${method}: 'delimiter' must be a single character`);
+		if (options.delimiter === '"')
+			throw new Error(`Invalid option in ${method}: 'delimiter' cannot be a quote`);
+		if (options.floatPrecision !== undefined)
+			Validator.integer(method, 'floatPrecision', options.floatPrecision, { range: [0, 100] });
+	}
+
+	// Formats the rows as CSV, quoting fields as specified by RFC 4180
+	_formatCSV(options) {
 		const delimiter = options.delimiter || ',';
+		const quoting = options.quoting || 'minimal';
+		const lineTerminator = options.lineTerminator !== undefined ? options.lineTerminator : '\n';
+		const naRep = options.naRep !== undefined ? options.naRep : '';
+		const formatDate = options.dateFormat ? d3TimeFormat.utcFormat(options.dateFormat) : DTypes.toString;
+
+		const quote = (field, numeric) => {
+			if (quoting === 'all' || (quoting === 'nonnumeric' && !numeric)
+				|| field.includes(delimiter) || /["\r\n]/.test(field))
+				return `"${field.replace(/"/g, '""')}"`;
+			return field;
+		};
+		const format = value => {
+			if (this._kw.isNA(value))
+				return quote(naRep, true);
+			if (typeof value === 'number') {
+				const precision = options.floatPrecision;
+				return quote(precision !== undefined && !Number.isInteger(value) ? value.toFixed(precision) : value.toString(), true);
+			}
+			if (value instanceof Date)
+				return quote(formatDate(value), false);
+			if (typeof value === 'object')
+				return quote(JSON.stringify(value), false);
+			return quote(value.toString(), false);
+		};
 
-		let content = this._columns
-			.map(column => column.includes(delimiter) ? JSON.stringify(column) : column)
-			.join(delimiter);
-		content += '\n';
+		const lines = [];
+		if (options.header !== false)
+			lines.push(options.columns.map(column => quote(column, false)).join(delimiter));
 		this._data.forEach(row => {
-			content += this._columns
-				.map(column => !this._kw.isNA(row[column]) && row[column].toString().includes(delimiter)
-					? JSON.stringify(row[column])
-					: row[column]
-				)
-				.join(delimiter);
-			content += '\n';
+			lines.push(options.columns.map(column => format(row[column])).join(delimiter));
 		});
-		if (!path) return content;
-		eval('require')('fs').writeFileSync(path, content);
+		return lines.map(line => line + lineTerminator).join('');
 	}
 
 	/**
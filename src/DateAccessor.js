@@ -0,0 +1,220 @@
+'use strict';
+
+const d3 = require('d3-time-format');
+
+const DTypes = require('./DTypes.js');
+const Validator = require('./Validator.js');
+
+
+const UNITS = ['milliseconds', 'seconds', 'minutes', 'hours', 'days', 'weeks', 'months', 'quarters', 'years'];
+
+const DURATIONS = {
+	milliseconds: 1,
+	seconds: 1e3,
+	minutes: 6e4,
+	hours: 36e5,
+	days: 864e5,
+	weeks: 6048e5
+};
+
+const PERIODS = ['second', 'minute', 'hour', 'day', 'week', 'month', 'quarter', 'year'];
+
+/**
+* Accessor for date properties and operations on a Series of dates, available as `Series.dt`
+* @class
+* @property {Series} year The year of each date
+* @property {Series} month The month of each date, from 1 (January) to 12 (December)
+* @property {Series} day The day of the month of each date
+* @property {Series} weekday The day of the week of each date, from 1 (Monday) to 7 (Sunday)
+* @property {Series} week The ISO week number of each date
+* @property {Series} quarter The quarter of each date, from 1 to 4
+* @property {Series} hour The hour of each date
+* @property {Series} minute The minutes of each date
+* @property {Series} second The seconds of each date
+*/
+
+class DateAccessor {
+
+	/**
+	* @constructor
+	* @hideconstructor
+	* @param {Series} series A Series of dates
+	*/
+	constructor(series) {
+		if (series.dtype !== 'date')
+			throw new Error(`Error in Series.dt: cannot use the date accessor on a Series of type '${series.dtype}'`);
+		this._series = series;
+	}
+
+	_map(callback, dtype) {
+		const Series = require('./Series.js');
+		return new Series(
+			this._series.toArray().map(date => date !== null && date !== undefined ? callback(date) : null),
+			{ dtype, index: this._series._index }
+		);
+	}
+
+	get year() {
+		return this._map(date => date.getUTCFullYear(), 'number');
+	}
+
+	get month() {
+		return this._map(date => date.getUTCMonth() + 1, 'number');
+	}
+
+	get day() {
+		return this._map(date => date.getUTCDate(), 'number');
+	}
+
+	get weekday() {
+		return this._map(date => date.getUTCDay() || 7, 'number');
+	}
+
+	get week() {
+		return this._map(date => +d3.utcFormat('%V')(date), 'number');
+	}
+
+	get quarter() {
+		return this._map(date => Math.floor(date.getUTCMonth() / 3) + 1, 'number');
+	}
+
+	get hour() {
+		return this._map(date => date.getUTCHours(), 'number');
+	}
+
+	get minute() {
+		return this._map(date => date.getUTCMinutes(), 'number');
+	}
+
+	get second() {
+		return this._map(date => date.getUTCSeconds(), 'number');
+	}
+
+	/**
+	* Adds a duration to each date of the Series
+	* @param {number} amount Number of units to add (can be negative)
+	* @param {('milliseconds'|'seconds'|'minutes'|'hours'|'days'|'weeks'|'months'|'quarters'|'years')} [unit='days'] Unit of the duration
+	* @returns {Series}
+	* @example
+	* // Returns the dates one month later, clamping to the end of the month if needed
+	* series.dt.add(1, 'months');
+	*/
+	add(amount, unit = 'days') {
+		Validator.integer('Series.dt.add()', 'amount', amount);
+		Validator.string('Series.dt.add()', 'unit', unit, { enum: UNITS });
+
+		return this._map(date => DateAccessor.add(date, amount, unit), 'date');
+	}
+
+	/**
+	* Computes the difference between each date of the Series and another date or Series of dates
+	* @param {(Date|string|Series)} other Date or Series of dates to subtract
+	* @param {('milliseconds'|'seconds'|'minutes'|'hours'|'days'|'weeks'|'months'|'quarters'|'years')} [unit='days'] Unit of the difference; calendar units (months, quarters and years) only count complete periods
+	* @returns {Series}
+	* @example
+	* // Returns the number of days between each date and the 1st of January 2020
+	* series.dt.diff('2020-01-01', 'days');
+	*/
+	diff(other, unit = 'days') {
+		Validator.string('Series.dt.diff()', 'unit', unit, { enum: UNITS });
+
+		const Series = require('./Series.js');
+		let others;
+		if (other instanceof Series) {
+			if (other.length !== this._series.length)
+				throw new Error('Invalid argument in Series.dt.diff(): \'other\' must have the same length as the Series');
+			others = other.toArray().map(value => !DTypes.isBlank(value)
+				? DTypes.cast(value, 'date', { method: 'Series.dt.diff()' }) : null);
+		}
+		else {
+			const date = DTypes.cast(other, 'date', { method: 'Series.dt.diff()' });
+			others = this._series.toArray().map(() => date);
+		}
+
+		const dates = this._series.toArray();
+		return new Series(dates.map((date, index) => {
+			const otherDate = others[index];
+			if (date === null || date === undefined || otherDate === null) return null;
+			if (unit in DURATIONS)
+				return (date - otherDate) / DURATIONS[unit];
+			const months = DateAccessor.monthsBetween(otherDate, date);
+			return Math.trunc(months / { months: 1, quarters: 3, years: 12 }[unit]) || 0;
+		}), { dtype: 'number', index: this._series._index });
+	}
+
+	/**
+	* Truncates each date of the Series to the start of its period
+	* @param {('second'|'minute'|'hour'|'day'|'week'|'month'|'quarter'|'year')} period Period to truncate to, weeks starting on Monday
+	* @returns {Series}
+	* @example
+	* // Returns the first day of the month of each date
+	* series.dt.floor('month');
+	*/
+	floor(period) {
+		Validator.string('Series.dt.floor()', 'period', period, { enum: PERIODS });
+		return this._map(date => DateAccessor.floor(date, period), 'date');
+	}
+
+	/**
+	* Formats each date of the Series as a string
+	* @param {string} format Format specifier, as used by d3-time-format (e.g. `'%d/%m/%Y'`)
+	* @returns {Series}
+	* @example
+	* series.dt.format('%B %Y');
+	*/
+	format(format) {
+		Validator.string('Series.dt.format()', 'format', format);
+		const formatter = d3.utcFormat(format);
+		return this._map(date => formatter(date), 'string');
+	}
+
+	static add(date, amount, unit) {
+		if (unit in DURATIONS)
+			return new Date(date.getTime() + amount * DURATIONS[unit]);
+		const months = amount * { months: 1, quarters: 3, years: 12 }[unit];
+		const result = new Date(date.getTime());
+		result.setUTCDate(1);
+		result.setUTCMonth(result.getUTCMonth() + months);
+		const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+		result.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+		return result;
+	}
+
+	static monthsBetween(start, end) {
+		const months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12
+			+ end.getUTCMonth() - start.getUTCMonth();
+		// Only counts complete months
+		const shifted = DateAccessor.add(start, months, 'months');
+		if (months > 0 && shifted > end) return months - 1;
+		if (months < 0 && shifted < end) return months + 1;
+		return months;
+	}
+
+	static floor(date, period, step = 1) {
+		if (['month', 'quarter', 'year'].includes(period)) {
+			const months = step * { month: 1, quarter: 3, year: 12 }[period];
+			const index = date.getUTCFullYear() * 12 + date.getUTCMonth();
+			const start = Math.floor(index / months) * months;
+			return new Date(Date.UTC(Math.floor(start / 12), start % 12, 1));
+		}
+		const size = step * DURATIONS[`${period}s`];
+		// Weeks start on Monday, 1970-01-05 being the first one after the epoch
+		const offset = period === 'week' ? 4 * DURATIONS.days : 0;
+		return new Date(Math.floor((date.getTime() - offset) / size) * size + offset);
+	}
+
+	static parseFrequency(method, frequency) {
+		const ALIASES = {
+			s: 'second', min: 'minute', h: 'hour', D: 'day', W: 'week', M: 'month', Q: 'quarter', Y: 'year'
+		};
+		const match = typeof frequency === 'string' && frequency.match(/^(\d*)([a-zA-Z]+)$/);
+		const period = match && (ALIASES[match[2]] || match[2]);
+		const step = match && match[1] ? +match[1] : 1;
+		if (!match || !PERIODS.includes(period) || step < 1)
+			throw new Error(`Invalid value '${frequency}' in ${method}: frequency must be a period (${PERIODS.map(e => `'${e}'`).join(', ')}) or a multiple of a period (e.g. '15min', '2h', '3M')`);
+		return { period, step };
+	}
+
+}
+
+module.exports = DateAccessor;
@@ -1,10 +1,14 @@
 'use strict';
 
-const d3 = require('d3-dsv');
+const d3 = require('d3-array');
 
 const DataFrame = require('./DataFrame.js');
 const Series = require('./Series.js');
+const PivotTable = require('./PivotTable.js');
+const CSVStream = require('./CSVStream.js');
+const CSVWriter = require('./CSVWriter.js');
 
+const DTypes = require('./DTypes.js');
 const Validator = require('./Validator.js');
 
 
@@ -16,6 +20,8 @@ class Kiwis {
 	/**
 	* Returns a new DataFrame from the given data
 	* @param {Object[]} data An array of objects
+	* @param {Object} [options] Options
+	* @param {Object<string, string>} [options.dtype] Map of columns to their types (`'number'`, `'string'`, `'boolean'`, `'date'` or `'object'` to disable conversion), inferred for the other columns
 	* @returns {DataFrame}
 	* @example
 	* const kw = require('kiwis');
@@ -41,15 +47,26 @@ class Kiwis {
 	* console.log(df.length) // 3
 	* console.log(df.columns) // ['name', 'surname', 'occupation']
 	* console.log(df.empty) // false
+	*
+	* // Keeps the leading zeros of zip codes
+	* const df = kw.DataFrame([{ zip: '01234' }, { zip: '75001' }], { dtype: { zip: 'string' } });
 	*/
-	static DataFrame(data) {
+	static DataFrame(data, options = {}) {
 		Validator.array('Kiwis.DataFrame()', 'data', data, { type: 'object' });
-		return new DataFrame(data);
+		Validator.options('Kiwis.DataFrame()', options, [
+			{ key: 'dtype', type: 'object' }
+		]);
+		if (options.dtype)
+			Validator.array('Kiwis.DataFrame()', 'dtype', Object.values(options.dtype), { enum: DTypes.types });
+
+		return new DataFrame(data, options);
 	}
 
 	/**
 	* Returns a new Series from the given data
 	* @param {*[]} data An array of values
+	* @param {Object} [options] Options
+	* @param {('number'|'string'|'boolean'|'date'|'object')} [options.dtype] Type of the values, inferred if not set
 	* @returns {Series}
 	* @example
 	* const kw = require('kiwis');
@@ -59,18 +76,41 @@ class Kiwis {
 	* console.log(series.length) // 9
 	* console.log(series.empty) // false
 	*/
-	static Series(data) {
+	static Series(data, options = {}) {
 		Validator.array('Kiwis.Series()', 'data', data);
-		return new Series(data);
+		Validator.options('Kiwis.Series()', options, [
+			{ key: 'dtype', type: 'string', enum: DTypes.types }
+		]);
+
+		return new Series(data, options);
 	}
 
 	/**
 	* Loads a CSV file into a DataFrame
 	* @param {string} path Path of the file to load
-	* @param {Object} [options] Options
-	* @param {string} [options.delimiter=','] Delimiter of the file
+	* @param {Object} [options] Options, as in `Kiwis.parseCSV()`
 	* @param {string} [options.encoding='utf8'] Encoding of the file
+	* @param {string} [options.delimiter=','] Delimiter of the file
 	* @param {('none'|'camelCase'|'snake_case')} [options.prettify='none'] Prettify column names
+	* @param {Object<string, string>} [options.dtype] Map of columns to their types, inferred for the other columns
+	* @param {(string|Object<string, string>)} [options.dateFormat] Format of the dates to parse (e.g. `'%d/%m/%Y'`), or map of columns to their date formats; columns whose values all match the format (or are ISO 8601 dates) are parsed as dates
+	* @param {boolean} [options.header=true] Whether the first row contains the names of the columns
+	* @param {string[]} [options.names] Names of the columns, replacing the header if there is one
+	* @param {(number|number[])} [options.skipRows=0] Number of rows to skip at the beginning of the file, or array of positions of the rows to skip
+	* @param {number} [options.skipFooter=0] Number of rows to skip at the end of the file
+	* @param {string} [options.comment] Character starting a comment, the rest of the line being ignored
+	* @param {(string[]|callback)} [options.usecols] Columns to load, or callback returning whether a column should be loaded from its name
+	* @param {string[]} [options.naValues] Values to consider N/A, in addition to empty values
+	* @param {string} [options.quote='"'] Character used to quote fields
+	* @param {boolean} [options.trimWhitespace=false] Removes whitespace around values and column names
+	* @param {number} [options.nrows] Maximum number of rows to load
+	* @param {string} [options.locale] Locale of the numbers (e.g. `'fr-FR'` or `'de'`), determining their decimal and thousands separators
+	* @param {string} [options.decimal] Decimal separator of the numbers, overriding the locale
+	* @param {string} [options.thousands] Thousands separator of the numbers, overriding the locale
+	* @param {string[]} [options.trueValues] Values to consider true (case insensitive), columns only containing true and false values being parsed as booleans
+	* @param {string[]} [options.falseValues] Values to consider false (case insensitive)
+	* @param {boolean} [options.stripPercent=false] Removes percent signs around numbers (e.g. `'12 %'` is parsed as `12`)
+	* @param {boolean} [options.stripCurrency=false] Removes currency symbols around numbers (e.g. `'€3.50'` is parsed as `3.5`)
 	* @returns {DataFrame}
 	* @example
 	* const kw = require('kiwis');
@@ -80,20 +120,24 @@ class Kiwis {
 	*
 	* // Loads a TSV file and prettify the columns in camelCase
 	* const df = kw.loadCSV('myAwesomeData.tsv', { delimiter: '\t', prettify; 'camelCase' });
+	*
+	* // Previews the first 10 rows of two columns
+	* const df = kw.loadCSV('myAwesomeData.csv', { usecols: ['date', 'value'], nrows: 10 });
+	*
+	* // Loads a French export, with numbers such as '1 234,56 €' and booleans such as 'oui'
+	* const df = kw.loadCSV('export.csv', { delimiter: ';', locale: 'fr-FR', stripCurrency: true, trueValues: ['oui'], falseValues: ['non'] });
 	*/
 	static loadCSV(path, options = {}) {
 		Validator.string('Kiwis.loadCSV()', 'path', path);
-		Validator.options('Kiwis.loadCSV()', options, [
-			{ key: 'delimiter', type: 'string' },
-			{ key: 'encoding', type: 'string' },
-			{ key: 'prettify', type: 'string', enum: ['none', 'camelCase', 'snake_case'] }
+		this._validateCSVOptions('Kiwis.loadCSV()', options, [
+			{ key: 'encoding', type: 'string' }
 		]);
 
 		const encoding = options.encoding || 'utf8';
 
 		const rawData = eval('require')('fs').readFileSync(path, { encoding });
 
-		return this.parseCSV(rawData, options);
+		return this.parseCSV(rawData, { ...options, encoding: undefined });
 	}
 
 	/**
@@ -102,6 +146,25 @@ class Kiwis {
 	* @param {Object} [options] Options
 	* @param {string} [options.delimiter=','] Delimiter of the file
 	* @param {('none'|'camelCase'|'snake_case')} [options.prettify='none'] Prettify column names
+	* @param {Object<string, string>} [options.dtype] Map of columns to their types (`'number'`, `'string'`, `'boolean'`, `'date'` or `'object'` to disable conversion), inferred for the other columns
+	* @param {(string|Object<string, string>)} [options.dateFormat] Format of the dates to parse (e.g. `'%d/%m/%Y'`), or map of columns to their date formats; columns whose values all match the format (or are ISO 8601 dates) are parsed as dates
+	* @param {boolean} [options.header=true] Whether the first row contains the names of the columns; if not, columns are named after their positions unless `names` is set
+	* @param {string[]} [options.names] Names of the columns, replacing the header if there is one
+	* @param {(number|number[])} [options.skipRows=0] Number of rows to skip at the beginning of the file, or array of positions of the rows to skip (comments and blank lines excluded)
+	* @param {number} [options.skipFooter=0] Number of rows to skip at the end of the file
+	* @param {string} [options.comment] Character starting a comment, the rest of the line being ignored
+	* @param {(string[]|callback)} [options.usecols] Columns to load, or callback returning whether a column should be loaded from its name
+	* @param {string[]} [options.naValues] Values to consider N/A, in addition to empty values
+	* @param {string} [options.quote='"'] Character used to quote fields
+	* @param {boolean} [options.trimWhitespace=false] Removes whitespace around values and column names
+	* @param {number} [options.nrows] Maximum number of rows to load
+	* @param {string} [options.locale] Locale of the numbers (e.g. `'fr-FR'` or `'de'`), determining their decimal and thousands separators
+	* @param {string} [options.decimal] Decimal separator of the numbers, overriding the locale
+	* @param {string} [options.thousands] Thousands separator of the numbers, overriding the locale
+	* @param {string[]} [options.trueValues] Values to consider true (case insensitive), columns only containing true and false values being parsed as booleans
+	* @param {string[]} [options.falseValues] Values to consider false (case insensitive)
+	* @param {boolean} [options.stripPercent=false] Removes percent signs around numbers (e.g. `'12 %'` is parsed as `12`)
+	* @param {boolean} [options.stripCurrency=false] Removes currency symbols around numbers (e.g. `'€3.50'` is parsed as `3.5`)
 	* @returns {DataFrame}
 	* @example
 	* const kw = require('kiwis');
@@ -113,33 +176,618 @@ class Kiwis {
 	*   Zaphod,Beeblebrox,President of the Galaxy\n
   	*   Arthur,Dent,\n
 	* `);
+	*
+	* // Parses a CSV string with French dates
+	* const df = kw.parseCSV(csv, { dateFormat: { date: '%d/%m/%Y' } });
+	*
+	* // Parses a CSV string without header, with comments and custom N/A values
+	* const df = kw.parseCSV(csv, { header: false, names: ['name', 'age'], comment: '#', naValues: ['NA', '-'] });
 	*/
 	static parseCSV(csv, options = {}) {
 		Validator.string('Kiwis.parseCSV()', 'csv', csv);
-		Validator.options('Kiwis.parseCSV()', options, [
-			{ key: 'delimiter', type: 'string' },
-			{ key: 'prettify', type: 'string', enum: ['none', 'camelCase', 'snake_case'] }
-		]);
+		this._validateCSVOptions('Kiwis.parseCSV()', options);
 
 		const delimiter = options.delimiter || ',';
 		const prettify = options.prettify || 'none';
+		const header = options.header !== undefined ? options.header : true;
+		const skipRows = options.skipRows || 0;
+		const skipFooter = options.skipFooter || 0;
+		const naValues = options.naValues || [];
+		const quote = options.quote || '"';
+		const trimWhitespace = options.trimWhitespace || false;
+
+		let records = this._parseRows(csv, { delimiter, quote, comment: options.comment });
+		if (trimWhitespace)
+			records = records.map(record => record.map(field => field.trim()));
+		records = Array.isArray(skipRows)
+			? records.filter((record, index) => !skipRows.includes(index))
+			: records.slice(skipRows);
+		records = records.slice(0, records.length - skipFooter);
+
+		const headerRecord = header ? records.shift() || [] : [];
+		const width = Math.max(headerRecord.length, d3.max(records, record => record.length) || 0);
+		const names = options.names || (header ? headerRecord : [...Array(width).keys()].map(index => index.toString()));
+		if (new Set(names).size < names.length)
+			throw new Error('Error in Kiwis.parseCSV(): multiple columns cannot have the same name');
+		if (options.nrows !== undefined)
+			records = records.slice(0, options.nrows);
 
-		const parser = d3.dsvFormat(delimiter);
-		const data = parser.parse(csv);
+		const usecols = typeof options.usecols === 'function'
+			? names.filter(options.usecols)
+			: options.usecols || names;
+		Validator.array('Kiwis.parseCSV()', 'usecols', usecols, { enum: names });
+		const columns = names
+			.map((name, index) => ({ name, index }))
+			.filter(({ name }) => usecols.includes(name));
 
-		const df = new DataFrame(data);
+		const data = records.map(record => {
+			const row = {};
+			columns.forEach(({ name, index }) => {
+				const value = record[index];
+				row[name] = value === undefined || naValues.includes(value) ? null : value;
+			});
+			return row;
+		});
+		const dtypes = this._dateDTypes(data, columns.map(({ name }) => name), options);
+		this._convertValues('Kiwis.parseCSV()', data, columns.map(({ name }) => name), { ...options, dtype: dtypes });
+
+		const df = new DataFrame(data, { dtype: dtypes, dateFormat: options.dateFormat });
+		df.columns = columns.map(({ name }) => name);
+		if (prettify !== 'none')
+			df.columns = this._prettifyColumns(df.columns, prettify);
+		return df;
+	}
+
+	static _validateCSVOptions(method, options, extraOptions = []) {
+		Validator.options(method, options, [
+			{ key: 'delimiter', type: 'string' },
+			{ key: 'prettify', type: 'string', enum: ['none', 'camelCase', 'snake_case'] },
+			{ key: 'dtype', type: 'object' },
+			{ key: 'dateFormat', type: 'string|object' },
+			{ key: 'header', type: 'boolean' },
+			{ key: 'names', type: 'string[]' },
+			{ key: 'skipRows', type: 'number|number[]' },
+			{ key: 'skipFooter', type: 'number' },
+			{ key: 'comment', type: 'string' },
+			{ key: 'usecols', type: 'string[]|function' },
+			{ key: 'naValues', type: 'string[]' },
+			{ key: 'quote', type: 'string' },
+			{ key: 'trimWhitespace', type: 'boolean' },
+			{ key: 'nrows', type: 'number' },
+			{ key: 'locale', type: 'string' },
+			{ key: 'decimal', type: 'string' },
+			{ key: 'thousands', type: 'string' },
+			{ key: 'trueValues', type: 'string[]' },
+			{ key: 'falseValues', type: 'string[]' },
+			{ key: 'stripPercent', type: 'boolean' },
+			{ key: 'stripCurrency', type: 'boolean' },
+			...extraOptions
+		]);
+		['delimiter', 'comment', 'quote', 'decimal'].forEach(key => {
+			if (options[key] !== undefined && options[key].length !== 1)
+				throw new Error(`Invalid option in ${method}: '${key}' must be a single character`);
+		});
+		['skipFooter', 'nrows'].concat(typeof options.skipRows === 'number' ? ['skipRows'] : []).forEach(key => {
+			if (options[key] !== undefined)
+				Validator.integer(method, key, options[key], { range: [0, Infinity] });
+		});
+		if (options.dtype)
+			Validator.array(method, 'dtype', Object.values(options.dtype), { enum: DTypes.types });
+	}
+
+	// Converts in place the columns of locale-formatted numbers and of custom booleans
+	// Adds the type 'date' to the columns without a type whose values are all dates, in the format if it is a string
+	static _dateDTypes(data, columns, options) {
+		const dtypes = { ...options.dtype };
+		const format = typeof options.dateFormat === 'string' ? options.dateFormat : undefined;
+		columns
+			.filter(column => dtypes[column] === undefined && !(typeof options.dateFormat === 'object' && column in options.dateFormat))
+			.filter(column => DTypes.areDates(data.map(row => row[column]), format))
+			.forEach(column => dtypes[column] = 'date');
+		return dtypes;
+	}
+
+	static _convertValues(method, data, columns, options) {
+		const parseNumber = this._numberParser(method, options);
+		const booleans = new Map([
+			...(options.trueValues || []).map(value => [value.toLowerCase(), true]),
+			...(options.falseValues || []).map(value => [value.toLowerCase(), false])
+		]);
+		const parseBoolean = value => booleans.get(value.trim().toLowerCase());
+		const dateFormats = typeof options.dateFormat === 'object' ? options.dateFormat : {};
+
+		columns.forEach(column => {
+			const dtype = (options.dtype || {})[column];
+			if (column in dateFormats || (dtype !== undefined && !['number', 'boolean'].includes(dtype)))
+				return;
+			const values = data.map(row => row[column]).filter(value => !DTypes.isBlank(value));
+			if (values.length === 0)
+				return;
+			let convert;
+			if (parseNumber && dtype !== 'boolean' && values.every(value => parseNumber(value) !== undefined))
+				convert = parseNumber;
+			else if (booleans.size > 0 && dtype !== 'number' && values.every(value => parseBoolean(value) !== undefined))
+				convert = parseBoolean;
+			if (convert) {
+				data.forEach(row => {
+					if (!DTypes.isBlank(row[column])) row[column] = convert(row[column]);
+				});
+			}
+		});
+	}
+
+	// Returns a function parsing numbers with the given separators and symbols, or undefined if the default parsing applies
+	static _numberParser(method, options) {
+		let decimal = options.decimal;
+		let thousands = options.thousands;
+		if (options.locale) {
+			let parts;
+			try {
+				parts = new Intl.NumberFormat(options.locale).formatToParts(12345.6);
+			}
+			catch (error) {
+				throw new Error(`Invalid option in ${method}: unknown locale '${options.locale}'`);
+			}
+			decimal = decimal || parts.find(part => part.type === 'decimal').value;
+			thousands = thousands !== undefined ? thousands : parts.find(part => part.type === 'group').value;
+		}
+		if (!decimal && thousands === undefined && !options.stripPercent && !options.stripCurrency)
+			return undefined;
+		decimal = decimal || '.';
+		thousands = thousands || '';
+		if (decimal === thousands)
+			throw new Error(`Invalid option in ${method}: 'decimal' and 'thousands' must be different`);
+
+		const escape = string => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		// Any kind of space is accepted as a thousands separator if it is a space
+		const group = /^\s$/.test(thousands) ? '\\s' : escape(thousands);
+		const integer = thousands ? `(\\d+|\\d{1,3}(${group}\\d{3})+)` : '\\d+';
+		const pattern = new RegExp(`^[+-]?(${integer}(${escape(decimal)}\\d*)?|${escape(decimal)}\\d+)$`);
+		const groups = thousands ? new RegExp(group, 'g') : null;
+
+		return value => {
+			let string = value.trim();
+			if (options.stripCurrency)
+				string = string.replace(/^([+-]?)\s*\p{Sc}\s*/u, '$1').replace(/\s*\p{Sc}$/u, '');
+			if (options.stripPercent)
+				string = string.replace(/\s*%$/, '');
+			if (!pattern.test(string))
+				return undefined;
+			if (groups)
+				string = string.replace(groups, '');
+			return +string.replace(decimal, '.');
+		};
+	}
+
+	// Splits a CSV string into records of fields, skipping blank lines and comments
+	static _parseRows(csv, { delimiter, quote, comment }) {
+		const records = [];
+		let record = [];
+		let field = '';
+		let inQuotes = false;
+		let inComment = false;
+		const endRecord = () => {
+			record.push(field);
+			if (record.length > 1 || record[0] !== '')
+				records.push(record);
+			record = [];
+			field = '';
+			inComment = false;
+		};
+		for (let index = 0; index < csv.length; index++) {
+			const char = csv[index];
+			if (inQuotes) {
+				if (char !== quote)
+					field += char;
+				else if (csv[index + 1] === quote) {
+					field += quote;
+					index++;
+				}
+				else
+					inQuotes = false;
+			}
+			else if (char === '\n' || char === '\r') {
+				if (char === '\r' && csv[index + 1] === '\n') index++;
+				endRecord();
+			}
+			else if (inComment)
+				continue;
+			else if (char === comment)
+				inComment = true;
+			else if (char === quote && field === '')
+				inQuotes = true;
+			else if (char === delimiter) {
+				record.push(field);
+				field = '';
+			}
+			else
+				field += char;
+		}
+		if (field !== '' || record.length > 0)
+			endRecord();
+		return records;
+	}
+
+	/**
+	* Reads a CSV file chunk by chunk, without loading the whole file into memory
+	* @param {string} path Path of the file to read
+	* @param {Object} [options] Options
+	* @param {number} [options.chunkSize=10000] Maximum number of rows of each DataFrame
+	* @param {string} [options.delimiter=','] Delimiter of the file
+	* @param {string} [options.quote='"'] Character used to quote fields
+	* @param {string} [options.encoding='utf8'] Encoding of the file
+	* @param {('none'|'camelCase'|'snake_case')} [options.prettify='none'] Prettify column names
+	* @param {Object<string, string>} [options.dtype] Map of columns to their types, inferred on each chunk for the other columns
+	* @param {(string|Object<string, string>)} [options.dateFormat] Format of the dates to parse (e.g. `'%d/%m/%Y'`), or map of columns to their date formats; columns whose values all match the format (or are ISO 8601 dates) are parsed as dates
+	* @returns {CSVStream} An asynchronous iterable of DataFrames
+	* @example
+	* const kw = require('kiwis');
+	*
+	* // Counts the rows of a huge file by country, 100,000 rows at a time
+	* const counts = {};
+	* for await (const chunk of kw.streamCSV('hugeData.csv', { chunkSize: 100000 })) {
+	*   chunk.country.counts().forEach(([country, count]) => {
+	*     counts[country] = (counts[country] || 0) + count;
+	*   });
+	* }
+	*
+	* // Iterates over the rows one by one
+	* for await (const row of kw.streamCSV('hugeData.csv').rows()) {
+	*   console.log(row);
+	* }
+	*/
+	static streamCSV(path, options = {}) {
+		Validator.string('Kiwis.streamCSV()', 'path', path);
+		Validator.options('Kiwis.streamCSV()', options, [
+			{ key: 'chunkSize', type: 'number' },
+			{ key: 'delimiter', type: 'string' },
+			{ key: 'quote', type: 'string' },
+			{ key: 'encoding', type: 'string' },
+			{ key: 'prettify', type: 'string', enum: ['none', 'camelCase', 'snake_case'] },
+			{ key: 'dtype', type: 'object' },
+			{ key: 'dateFormat', type: 'string|object' }
+		]);
+		if (options.chunkSize !== undefined)
+			Validator.integer('Kiwis.streamCSV()', 'chunkSize', options.chunkSize, { range: [1, Infinity] });
+		['delimiter', 'quote'].forEach(key => {
+			if (options[key] !== undefined && options[key].length !== 1)
+				throw new Error(`Invalid option in Kiwis.streamCSV(): '${key}' must be a single character`);
+		});
+		if (options.dtype)
+			Validator.array('Kiwis.streamCSV()', 'dtype', Object.values(options.dtype), { enum: DTypes.types });
+
+		return new CSVStream(path, options);
+	}
+
+	/**
+	* Creates a CSV file to be written incrementally, e.g. chunk by chunk;
+	* the formatting options of `DataFrame.toCSV()` (`quoting`, `naRep`, `dateFormat`...) are also accepted
+	* @param {string} path Path of the file to write
+	* @param {Object} [options] Options
+	* @param {string} [options.delimiter=','] Delimiter to use
+	* @param {string} [options.encoding='utf8'] Encoding of the file
+	* @param {string[]} [options.columns] Columns to write, in this order (defaults to the columns of the first rows written)
+	* @returns {CSVWriter}
+	* @example
+	* const kw = require('kiwis');
+	*
+	* // Filters a huge file without loading it into memory
+	* const writer = kw.createCSVWriter('french.csv');
+	* for await (const chunk of kw.streamCSV('hugeData.csv')) {
+	*   await writer.write(chunk.filter(row => row.country === 'France'));
+	* }
+	* await writer.close();
+	*/
+	static createCSVWriter(path, options = {}) {
+		Validator.string('Kiwis.createCSVWriter()', 'path', path);
+		DataFrame._validateCSVWriteOptions('Kiwis.createCSVWriter()', options, [
+			{ key: 'columns', type: 'string[]' }
+		]);
+
+		return new CSVWriter(path, options);
+	}
+
+	static _prettifyColumns(columns, prettify) {
 		switch (prettify) {
 			case 'camelCase':
-				df.columns = df.columns.map(column => {
+				return columns.map(column => {
 					return column.toLowerCase()
 						.split(' ').map((word, index) => index > 0 ? word[0].toUpperCase() + word.slice(1) : word)
 						.join('');
 				});
-				break;
 			case 'snake_case':
-				df.columns = df.columns.map(column => column.toLowerCase().replace(/ /g, '_'));
-				break;
+				return columns.map(column => column.toLowerCase().replace(/ /g, '_'));
+		}
+		return columns;
+	}
+
+	/**
+	* Loads a JSON or NDJSON file into a DataFrame
+	* @param {string} path Path of the file to load
+	* @param {Object} [options] Options, as in `Kiwis.parseJSON()`
+	* @param {string} [options.encoding='utf8'] Encoding of the file
+	* @param {('auto'|'records'|'columns'|'ndjson')} [options.format='auto'] Format of the file, detected by default
+	* @param {boolean} [options.normalize=false] Flattens nested objects into columns named after their paths (e.g. `'user.name'`)
+	* @param {(boolean|string[])} [options.explode=false] Explodes nested arrays into one row per element, or only the given arrays (implies `normalize`)
+	* @param {string} [options.separator='.'] Separator of the paths of normalized columns
+	* @param {Object<string, string>} [options.dtype] Map of columns to their types, inferred for the other columns
+	* @param {(string|Object<string, string>)} [options.dateFormat] Format of the dates to parse (e.g. `'%d/%m/%Y'`), or map of columns to their date formats; columns whose values all match the format (or are ISO 8601 dates) are parsed as dates
+	* @returns {DataFrame}
+	* @example
+	* const kw = require('kiwis');
+	*
+	* // Loads a file written by DataFrame.toJSON()
+	* const df = kw.loadJSON('myAwesomeData.json');
+	*
+	* // Loads NDJSON logs, with nested objects flattened into columns
+	* const df = kw.loadJSON('logs.ndjson', { normalize: true });
+	*/
+	static loadJSON(path, options = {}) {
+		Validator.string('Kiwis.loadJSON()', 'path', path);
+		this._validateJSONOptions('Kiwis.loadJSON()', options, [
+			{ key: 'encoding', type: 'string' }
+		]);
+
+		const encoding = options.encoding || 'utf8';
+
+		const rawData = eval('require')('fs').readFileSync(path, { encoding });
+
+		return this.parseJSON(rawData, { ...options, encoding: undefined });
+	}
+
+	/**
+	* Parses a JSON or NDJSON string into a DataFrame; the JSON can be an array of records,
+	* an object mapping columns to arrays of values, a single record or newline-delimited records
+	* @param {string} json JSON string to parse
+	* @param {Object} [options] Options
+	* @param {('auto'|'records'|'columns'|'ndjson')} [options.format='auto'] Format of the string, detected by default
+	* @param {boolean} [options.normalize=false] Flattens nested objects into columns named after their paths (e.g. `'user.name'`)
+	* @param {(boolean|string[])} [options.explode=false] Explodes nested arrays into one row per element, or only the given arrays (implies `normalize`)
+	* @param {string} [options.separator='.'] Separator of the paths of normalized columns
+	* @param {Object<string, string>} [options.dtype] Map of columns to their types, inferred for the other columns
+	* @param {(string|Object<string, string>)} [options.dateFormat] Format of the dates to parse (e.g. `'%d/%m/%Y'`), or map of columns to their date formats; columns whose values all match the format (or are ISO 8601 dates) are parsed as dates
+	* @returns {DataFrame}
+	* @example
+	* const kw = require('kiwis');
+	*
+	* // Parses column-oriented data
+	* const df = kw.parseJSON('{ "name": ["Marvin", "Zaphod"], "heads": [1, 2] }');
+	*
+	* // Parses an API response, with one row per item of each order
+	* const df = kw.parseJSON(response, { explode: ['items'] });
+	* // Columns: id, customer.name, items.product, items.quantity
+	*/
+	static parseJSON(json, options = {}) {
+		Validator.string('Kiwis.parseJSON()', 'json', json);
+		this._validateJSONOptions('Kiwis.parseJSON()', options);
+
+		const format = options.format || 'auto';
+		const separator = options.separator !== undefined ? options.separator : '.';
+		const explode = options.explode || false;
+		const normalize = options.normalize || explode !== false;
+
+		let records = this._parseRecords(json, format);
+		if (normalize) {
+			const flatten = require('flat');
+			const shouldExplode = key => explode === true || (Array.isArray(explode) && explode.includes(key));
+			// Replaces the first array to explode by each of its elements, then explodes the resulting records
+			const explodeRecord = record => {
+				const key = Object.keys(record).find(key => Array.isArray(record[key]) && shouldExplode(key));
+				if (key === undefined)
+					return [record];
+				const elements = record[key].length > 0 ? record[key] : [null];
+				return elements.flatMap(element => {
+					const row = {};
+					Object.entries(record).forEach(([column, value]) => {
+						if (column !== key)
+							row[column] = value;
+						// Records with an empty array are kept, with N/A values for the array
+						else if (element !== null && typeof element === 'object' && !Array.isArray(element) && Object.keys(element).length > 0)
+							Object.assign(row, flatten({ [key]: element }, { delimiter: separator, safe: true }));
+						else if (element !== null)
+							row[key] = element;
+					});
+					return explodeRecord(row);
+				});
+			};
+			records = records
+				.map(record => flatten(record, { delimiter: separator, safe: true }))
+				.flatMap(explodeRecord);
 		}
+
+		const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+		const data = records.map(record => {
+			const row = {};
+			columns.forEach(column => row[column] = record[column] !== undefined ? record[column] : null);
+			return row;
+		});
+		const df = new DataFrame(data, { dtype: this._dateDTypes(data, columns, options), dateFormat: options.dateFormat });
+		df.columns = columns;
+		return df;
+	}
+
+	static _validateJSONOptions(method, options, extraOptions = []) {
+		Validator.options(method, options, [
+			{ key: 'format', type: 'string', enum: ['auto', 'records', 'columns', 'ndjson'] },
+			{ key: 'normalize', type: 'boolean' },
+			{ key: 'explode', type: 'boolean|string[]' },
+			{ key: 'separator', type: 'string' },
+			{ key: 'dtype', type: 'object' },
+			{ key: 'dateFormat', type: 'string|object' },
+			...extraOptions
+		]);
+		if (options.dtype)
+			Validator.array(method, 'dtype', Object.values(options.dtype), { enum: DTypes.types });
+	}
+
+	// Parses a JSON string into an array of records
+	static _parseRecords(json, format) {
+		const isRecord = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+		// Blank lines are skipped, errors report the line numbers of the original string
+		const parseLines = () => json.split(/\r?\n/)
+			.map((line, index) => ({ line: line.trim(), number: index + 1 }))
+			.filter(({ line }) => line !== '')
+			.map(({ line, number }) => {
+				try {
+					return JSON.parse(line);
+				}
+				catch (error) {
+					throw new Error(`Error in Kiwis.parseJSON(): invalid JSON on line ${number} (${error.message})`);
+				}
+			});
+
+		let parsed;
+		if (format === 'ndjson')
+			parsed = parseLines();
+		else {
+			try {
+				parsed = JSON.parse(json);
+			}
+			catch (error) {
+				if (format !== 'auto')
+					throw new Error(`Error in Kiwis.parseJSON(): invalid JSON (${error.message})`);
+				parsed = parseLines();
+			}
+		}
+
+		const isColumns = isRecord(parsed) && Object.keys(parsed).length > 0
+			&& Object.values(parsed).every(value => Array.isArray(value));
+		if (format === 'columns' || (format === 'auto' && isColumns)) {
+			if (!isColumns)
+				throw new Error('Error in Kiwis.parseJSON(): column-oriented JSON must be an object of arrays');
+			const columns = Object.keys(parsed);
+			const length = parsed[columns[0]].length;
+			if (columns.some(column => parsed[column].length !== length))
+				throw new Error('Error in Kiwis.parseJSON(): all columns must have the same length');
+			return [...Array(length).keys()].map(index => {
+				const row = {};
+				columns.forEach(column => row[column] = parsed[column][index]);
+				return row;
+			});
+		}
+
+		const records = format !== 'ndjson' && isRecord(parsed) ? [parsed] : parsed;
+		if (!Array.isArray(records) || records.some(record => !isRecord(record)))
+			throw new Error('Error in Kiwis.parseJSON(): JSON must contain records, i.e. objects');
+		return records;
+	}
+
+	/**
+	* Computes a two-way frequency table of two Series, as a DataFrame indexed by the values of the first Series
+	* with one column per value of the second Series, sorted in ascending order; positions where either value is N/A are skipped
+	* @param {Series} rows Series whose values label the rows
+	* @param {Series} columns Series of the same length, whose values label the columns
+	* @param {Object} [options] Options
+	* @param {Series} [options.values] Series of the same length to aggregate instead of counting occurrences, requires `aggfunc`
+	* @param {(string|callback)} [options.aggfunc] Reducer of the values of each cell: a built-in reducer of `PivotTable.agg()` (e.g. `'sum'` or `'mean'`) or a callback receiving the array of values
+	* @param {(boolean|'all'|'index'|'columns')} [options.normalize=false] Divides each cell by the total of all cells (`true` or `'all'`), of its row (`'index'`) or of its column (`'columns'`)
+	* @param {boolean} [options.margins=false] Adds a row and a column of totals, aggregating all values of each column and row
+	* @param {string} [options.marginsName='All'] Label of the row and name of the column of totals
+	* @returns {DataFrame}
+	* @example
+	* const kw = require('kiwis');
+	*
+	* // Counts the respondents by gender and answer, with totals
+	* const table = kw.crosstab(df.gender, df.answer, { margins: true });
+	*
+	* // Computes the share of each answer by gender
+	* kw.crosstab(df.gender, df.answer, { normalize: 'index' });
+	*
+	* // Computes the average age by gender and answer
+	* kw.crosstab(df.gender, df.answer, { values: df.age, aggfunc: 'mean' });
+	*
+	* // Tests whether the answers are independent of the gender
+	* kw.crosstab(df.gender, df.answer).chiSquared().pValue;
+	*/
+	static crosstab(rows, columns, options = {}) {
+		Validator.instanceOf('Kiwis.crosstab()', 'rows', rows, 'Series', Series);
+		Validator.instanceOf('Kiwis.crosstab()', 'columns', columns, 'Series', Series);
+		Validator.options('Kiwis.crosstab()', options, [
+			{ key: 'values' },
+			{ key: 'aggfunc', type: 'string|function' },
+			{ key: 'normalize', type: 'boolean|string' },
+			{ key: 'margins', type: 'boolean' },
+			{ key: 'marginsName', type: 'string' }
+		]);
+		if (columns.length !== rows.length)
+			throw new Error('Invalid argument in Kiwis.crosstab(): \'columns\' must have the same length as \'rows\'');
+		if (options.values !== undefined) {
+			Validator.instanceOf('Kiwis.crosstab()', 'values', options.values, 'Series', Series);
+			if (options.values.length !== rows.length)
+				throw new Error('Invalid option in Kiwis.crosstab(): \'values\' must have the same length as \'rows\'');
+		}
+		if ((options.values === undefined) !== (options.aggfunc === undefined))
+			throw new Error('Invalid option in Kiwis.crosstab(): \'values\' and \'aggfunc\' must be set together');
+		if (typeof options.normalize === 'string')
+			Validator.string('Kiwis.crosstab()', 'normalize', options.normalize, { enum: ['all', 'index', 'columns'] });
+
+		const normalize = options.normalize === true ? 'all' : options.normalize || false;
+		const margins = options.margins || false;
+		const marginsName = options.marginsName || 'All';
+		const reducer = typeof options.aggfunc === 'string'
+			? PivotTable._getReducer('Kiwis.crosstab()', options.aggfunc)
+			: options.aggfunc || (data => data.length);
+		// Empty cells are N/A, or 0 when counting
+		const emptyValue = options.aggfunc === undefined ? 0 : null;
+
+		const rowValues = rows.toArray();
+		const columnValues = columns.toArray();
+		const values = options.values ? options.values.toArray() : rowValues;
+		const positions = [...rowValues.keys()]
+			.filter(index => !this.isNA(rowValues[index]) && !this.isNA(columnValues[index]));
+		// Labels are sorted in the order of the categories of the Series if set, e.g. bins, by value otherwise
+		const categories = (series, data) => {
+			const key = Series._sortKey(series._categories);
+			const unique = new Map(positions.map(index => [JSON.stringify(Series._comparable(data[index])), data[index]]));
+			return [...unique.values()].sort((a, b) => d3.ascending(Series._comparable(key(a)), Series._comparable(key(b))));
+		};
+		const rowLabels = categories(rows, rowValues);
+		const columnLabels = categories(columns, columnValues);
+		const rowPositions = new Map(rowLabels.map((label, i) => [JSON.stringify(Series._comparable(label)), i]));
+		const columnPositions = new Map(columnLabels.map((label, j) => [JSON.stringify(Series._comparable(label)), j]));
+
+		// Groups the values by row and column, the last row and column containing all values for the margins
+		const groups = [...Array(rowLabels.length + 1)].map(() => [...Array(columnLabels.length + 1)].map(() => []));
+		positions.forEach(index => {
+			const i = rowPositions.get(JSON.stringify(Series._comparable(rowValues[index])));
+			const j = columnPositions.get(JSON.stringify(Series._comparable(columnValues[index])));
+			[[i, j], [i, columnLabels.length], [rowLabels.length, j], [rowLabels.length, columnLabels.length]]
+				.forEach(([row, column]) => groups[row][column].push(values[index]));
+		});
+		const table = groups.map(row => row.map(data => {
+			const value = data.length > 0 ? reducer(data) : emptyValue;
+			return value !== undefined ? value : null;
+		}));
+
+		if (normalize) {
+			// Margins are normalized as the other cells, by the total of the cells of their row or column
+			const cells = table.slice(0, -1).map(row => row.slice(0, -1));
+			const total = d3.sum(cells, row => d3.sum(row));
+			const denominators = table.map((row, i) => row.map((value, j) => {
+				if (normalize === 'index') return d3.sum(table[i].slice(0, -1));
+				if (normalize === 'columns') return d3.sum(table.slice(0, -1), row => row[j]);
+				return total;
+			}));
+			table.forEach((row, i) => row.forEach((value, j) => {
+				row[j] = value !== null && denominators[i][j] ? value / denominators[i][j] : null;
+			}));
+		}
+
+		const names = columnLabels.map(label => DTypes.toString(label));
+		if (margins && (names.includes(marginsName) || rowLabels.some(label => DTypes.toString(label) === marginsName)))
+			throw new Error(`Error in Kiwis.crosstab(): values of 'rows' or 'columns' conflict with the margins name '${marginsName}'`);
+		const labels = margins ? [...rowLabels, marginsName] : rowLabels;
+		const outputColumns = margins ? [...names, marginsName] : names;
+		// Counts and proportions are numbers, the types of other aggregated values are inferred
+		const dtypes = {};
+		if (options.aggfunc === undefined || normalize)
+			outputColumns.forEach(column => dtypes[column] = 'number');
+		const df = new DataFrame(labels.map((label, i) => {
+			const row = {};
+			outputColumns.forEach((column, j) => row[column] = table[i][j]);
+			return row;
+		}), { dtype: dtypes, index: labels });
+		df.columns = outputColumns;
 		return df;
 	}
 
@@ -5,7 +5,9 @@ const nest = require('d3-collection').nest;
 const flatten = require('flat');
 
 const Series = require('./Series.js');
+const Window = require('./Window.js');
 
+const DTypes = require('./DTypes.js');
 const Validator = require('./Validator.js');
 
 
@@ -32,15 +34,19 @@ class PivotTable {
 	* @param {DataFrame} df A DataFrame containing the unnested data
 	*/
 	constructor(df, columns) {
-		this._df = df.clone().sort(columns);
+		// Transformations of the rows within each leaf keep the rows of the original DataFrame in their order
+		this._original = df.clone();
+		this._df = this._original.sort(columns);
 		this._pivots = columns;
 		this._columns = this._df._columns.filter(column => !this._pivots.includes(column));
 
 		this._kw = require('./Kiwis.js');
 
+		const DataFrame = require('./DataFrame.js');
+
 		const entries = this._pivots
 			.reduce((acc, column) => {
-				return acc.key(d => d[column]).sortKeys((a, b) => a - b);
+				return acc.key(d => PivotTable._toKey(d[column])).sortKeys((a, b) => a - b);
 			}, nest())
 			.entries(this._df._data);
 
@@ -49,7 +55,7 @@ class PivotTable {
 			return {
 				...acc,
 				[entry.key]: isLeaves
-					? this._kw.DataFrame(entry.values).drop(this._pivots)
+					? new DataFrame(entry.values, { dtype: this._df._dtypes, categories: this._df._categories }).drop(this._pivots)
 					: entry.values.reduce(parseEntry, {})
 			};
 		}
@@ -77,6 +83,7 @@ class PivotTable {
 	* @param {callback} callback
 	* @param {Object} [options]
 	* @param {string} [options.name='data'] Name to use for the column in the output DataFrame
+	* @param {boolean} [options.asIndex=false] Uses the pivots as a multi-level index of the output DataFrame instead of columns
 	* @returns {DataFrame}
 	* @example
 	* // For each leaf, computes the number of rows where 'score' is greater than 3
@@ -88,10 +95,12 @@ class PivotTable {
 	rollup(callback, options = {}) {
 		Validator.function('PivotTable.rollup()', 'callback', callback);
 		Validator.options('PivotTable.rollup()', options, [
-			{ key: 'name', type: 'string' }
+			{ key: 'name', type: 'string' },
+			{ key: 'asIndex', type: 'boolean' }
 		]);
 
 		const name = options.name || 'data';
+		const asIndex = options.asIndex || false;
 
 		const DataFrame = require('./DataFrame.js');
 
@@ -118,7 +127,364 @@ class PivotTable {
 			return [...acc, row];
 		}, []);
 
-		return new DataFrame(data);
+		const df = new DataFrame(data, { dtype: this._pivotDTypes() });
+		return asIndex ? df.setIndex(this._pivots, { inPlace: true }) : df;
+	}
+
+	/**
+	* Applies several aggregations on the columns of the PivotTable, returning a single DataFrame
+	* with the pivots and one column per aggregation
+	*
+	* Built-in reducers are `'count'` (number of non-N/A values), `'countDistinct'`, `'first'` and `'last'` (first and last non-N/A values),
+	* `'sum'`, `'min'`, `'max'`, `'mean'`, `'median'`, `'std'`, `'q1'` and `'q3'` (first and third quartiles)
+	* and `'pXX'` for any percentile (e.g. `'p90'`).
+	* Output columns are named after the reducer and the column (e.g. `'meanRevenue'`), except for callbacks,
+	* which are named after the column, or after the key used if the reducers are given as an object.
+	* @param {Object<string, (string|callback|Array.<(string|callback)>|Object<string, (string|callback)>)>} aggregations Map of the columns to aggregate to their reducers. A callback reducer receives the array of values of the column and the array of rows of the leaf.
+	* @param {Object} [options]
+	* @param {boolean} [options.asIndex=false] Uses the pivots as a multi-level index of the output DataFrame instead of columns
+	* @returns {DataFrame}
+	* @example
+	* // For each leaf, computes the sum and mean of 'revenue', the number of distinct 'clients' and a custom score
+	* df.pivot(['sector', 'date']).agg({
+	*   revenue: ['sum', 'mean'],
+	*   clients: 'countDistinct',
+	*   score: values => values.filter(score => score > 3).length
+	* });
+	* // Renames the output columns
+	* df.pivot('sector').agg({ revenue: { totalRevenue: 'sum', topRevenue: 'p90' } });
+	* // Returns the sum of 'revenue' indexed by sector and date, then selects the first date of each sector
+	* df.pivot(['sector', 'date']).agg({ revenue: 'sum' }, { asIndex: true }).xs('2020-01-01', 'date');
+	*/
+	agg(aggregations, options = {}) {
+		const reducers = PivotTable._parseAggregations('PivotTable.agg()', aggregations, this._columns);
+		Validator.options('PivotTable.agg()', options, [
+			{ key: 'asIndex', type: 'boolean' }
+		]);
+
+		const asIndex = options.asIndex || false;
+
+		const DataFrame = require('./DataFrame.js');
+
+		const data = this._mapLeaves(leaf => {
+			const rows = leaf.toArray();
+			return reducers.reduce((acc, { name, column, reducer }) => ({
+				...acc,
+				[name]: reducer(rows.map(row => row[column]), rows)
+			}), {});
+		});
+
+		const df = new DataFrame(data, { dtype: this._pivotDTypes() });
+		df.columns = [...this._pivots, ...reducers.map(({ name }) => name)];
+		return asIndex ? df.setIndex(this._pivots, { inPlace: true }) : df;
+	}
+
+	/**
+	* Spreads one level of the PivotTable into columns, returning a wide DataFrame (crosstab)
+	* with one row per combination of the other pivots and one column per value of the spread pivot
+	* @param {(callback|Object<string, (string|callback)>)} aggregation Callback applied on the leaves (as in `PivotTable.rollup()`), or a single column mapped to its reducer (as in `PivotTable.agg()`)
+	* @param {Object} [options]
+	* @param {string} [options.level=PivotTable.pivots[PivotTable.pivots.length - 1]] Pivot whose values should become columns
+	* @param {*} [options.fillValue=null] Value to use for missing combinations
+	* @param {boolean} [options.margins=false] Adds a total column, as well as a total row if there are other pivots
+	* @param {string} [options.marginsName='Total'] Name of the total row and column
+	* @param {boolean} [options.asIndex=false] Uses the other pivots as a multi-level index of the output DataFrame instead of columns
+	* @returns {DataFrame}
+	* @example
+	* // Returns a DataFrame with one row per sector, one column per year, containing the sum of the revenues
+	* df.pivot(['sector', 'year']).spread({ revenue: 'sum' }, { fillValue: 0, margins: true });
+	* // Returns a DataFrame with one row per year, one column per sector, containing the number of rows
+	* df.pivot(['sector', 'year']).spread(leaf => leaf.length, { level: 'sector' });
+	*/
+	spread(aggregation, options = {}) {
+		Validator.options('PivotTable.spread()', options, [
+			{ key: 'level', type: 'string', enum: this._pivots },
+			{ key: 'fillValue' },
+			{ key: 'margins', type: 'boolean' },
+			{ key: 'marginsName', type: 'string' },
+			{ key: 'asIndex', type: 'boolean' }
+		]);
+
+		let reduce;
+		if (typeof aggregation === 'function') {
+			reduce = rows => aggregation(rows);
+		}
+		else {
+			Validator.object('PivotTable.spread()', 'aggregation', aggregation);
+			const entries = Object.entries(aggregation);
+			if (entries.length !== 1)
+				throw new Error('Invalid argument in PivotTable.spread(): \'aggregation\' must contain exactly one column');
+			const [column, reducer] = entries[0];
+			Validator.string('PivotTable.spread()', 'column', column, { enum: this._columns });
+			const reducerFn = typeof reducer === 'function'
+				? reducer
+				: PivotTable._getReducer('PivotTable.spread()', reducer);
+			reduce = rows => reducerFn(rows.map(row => row[column]), rows);
+		}
+
+		const level = options.level || this._pivots[this._pivots.length - 1];
+		const fillValue = options.fillValue !== undefined ? options.fillValue : null;
+		const margins = options.margins || false;
+		const marginsName = options.marginsName || 'Total';
+		const asIndex = options.asIndex || false;
+
+		const levelIndex = this._pivots.indexOf(level);
+		const rowPivots = this._pivots.filter(pivot => pivot !== level);
+
+		// Groups the leaves by row key, then by column key
+		const groups = new Map();
+		const newColumns = [];
+		this._mapLeaves((leaf, path) => {
+			const rowPath = path.filter((key, index) => index !== levelIndex);
+			const rowKey = JSON.stringify(rowPath);
+			const columnKey = path[levelIndex];
+			if (!groups.has(rowKey)) groups.set(rowKey, { path: rowPath, cells: new Map() });
+			groups.get(rowKey).cells.set(columnKey, leaf.toArray());
+			if (!newColumns.includes(columnKey)) newColumns.push(columnKey);
+			return {};
+		});
+		// Values of a level with categories, e.g. bins, are spread in the order of the categories
+		const categories = this._df._categories[level];
+		if (categories) {
+			const positions = new Map(categories.map((category, position) => [String(PivotTable._toKey(category)), position]));
+			newColumns.sort((a, b) => positions.get(a) - positions.get(b));
+		}
+		else
+			newColumns.sort((a, b) => (a - b) || (a < b ? -1 : a > b ? 1 : 0));
+		if (newColumns.some(column => rowPivots.includes(column) || (margins && column === marginsName)))
+			throw new Error(`Error in PivotTable.spread(): values of '${level}' conflict with existing column names`);
+
+		const toRow = (path, cells) => {
+			const row = rowPivots.reduce((acc, pivot, index) => ({ ...acc, [pivot]: path[index] }), {});
+			newColumns.forEach(column => {
+				row[column] = cells.has(column) ? reduce(cells.get(column)) : fillValue;
+			});
+			if (margins)
+				row[marginsName] = reduce([...cells.values()].flat());
+			return row;
+		};
+
+		const data = [...groups.values()].map(({ path, cells }) => toRow(path, cells));
+		if (margins && rowPivots.length > 0) {
+			const cells = new Map(newColumns.map(column => [
+				column,
+				[...groups.values()].flatMap(group => group.cells.get(column) || [])
+			]));
+			data.push(toRow([marginsName, ...rowPivots.slice(1).map(() => null)], cells));
+		}
+
+		const DataFrame = require('./DataFrame.js');
+
+		// The total row is labelled with the margins name, which does not fit a pivot of numbers or dates
+		const dtypes = this._pivotDTypes();
+		if (margins && rowPivots.length > 0 && dtypes[rowPivots[0]] !== 'string')
+			dtypes[rowPivots[0]] = 'object';
+		const df = new DataFrame(data, { dtype: dtypes });
+		df.columns = [...rowPivots, ...newColumns, ...(margins ? [marginsName] : [])];
+		return asIndex && rowPivots.length > 0 ? df.setIndex(rowPivots, { inPlace: true }) : df;
+	}
+
+	/**
+	* Returns a rolling window over columns of the PivotTable within each leaf, on which statistics can be computed;
+	* the statistics are returned as a DataFrame with the rows in their original order
+	* @param {number} window Number of rows in each window
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the statistics on (defaults to all number columns)
+	* @param {number} [options.minPeriods=window] Minimum number of non-N/A values in a window to compute a result
+	* @param {boolean} [options.center=false] Centers the windows on each row instead of ending them on it
+	* @returns {Window}
+	* @example
+	* // Computes the moving average of 'temperature' over 7 rows for each city
+	* df.pivot('city').rolling(7, { columns: 'temperature' }).mean();
+	*/
+	rolling(window, options = {}) {
+		Validator.integer('PivotTable.rolling()', 'window', window, { range: [1, Infinity] });
+		Validator.options('PivotTable.rolling()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns },
+			{ key: 'minPeriods', type: 'number' },
+			{ key: 'center', type: 'boolean' }
+		]);
+
+		return new Window(this, 'rolling', 'PivotTable.rolling()', { ...options, window, columns: this._selectColumns(options.columns) });
+	}
+
+	/**
+	* Returns an expanding window over columns of the PivotTable within each leaf, including all previous rows, on which statistics can be computed;
+	* the statistics are returned as a DataFrame with the rows in their original order
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the statistics on (defaults to all number columns)
+	* @param {number} [options.minPeriods=1] Minimum number of non-N/A values in a window to compute a result
+	* @returns {Window}
+	* @example
+	* // Computes the running total of 'amount' for each city
+	* df.pivot('city').expanding({ columns: 'amount' }).sum();
+	*/
+	expanding(options = {}) {
+		Validator.options('PivotTable.expanding()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns },
+			{ key: 'minPeriods', type: 'number' }
+		]);
+
+		return new Window(this, 'expanding', 'PivotTable.expanding()', { ...options, columns: this._selectColumns(options.columns) });
+	}
+
+	/**
+	* Returns an exponentially weighted window over columns of the PivotTable within each leaf, on which the mean and standard deviation can be computed;
+	* the statistics are returned as a DataFrame with the rows in their original order
+	* @param {Object} options Exactly one of `alpha`, `span` or `halfLife` is required
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the statistics on (defaults to all number columns)
+	* @param {number} [options.alpha] Smoothing factor, between 0 (excluded) and 1
+	* @param {number} [options.span] Span of the window, such as alpha = 2 / (span + 1)
+	* @param {number} [options.halfLife] Number of rows after which the weight of a value is halved
+	* @param {boolean} [options.adjust=true] Divides by the sum of the decaying weights, instead of computing the mean recursively
+	* @param {number} [options.minPeriods=1] Minimum number of non-N/A values to compute a result
+	* @returns {Window}
+	* @example
+	* // Computes the exponentially weighted moving average of 'price' with a half-life of 5 rows for each city
+	* df.pivot('city').ewm({ columns: 'price', halfLife: 5 }).mean();
+	*/
+	ewm(options = {}) {
+		Validator.options('PivotTable.ewm()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns },
+			{ key: 'alpha', type: 'number' },
+			{ key: 'span', type: 'number' },
+			{ key: 'halfLife', type: 'number' },
+			{ key: 'adjust', type: 'boolean' },
+			{ key: 'minPeriods', type: 'number' }
+		]);
+
+		return new Window(this, 'ewm', 'PivotTable.ewm()', {
+			...options,
+			alpha: Window._alpha('PivotTable.ewm()', options),
+			columns: this._selectColumns(options.columns)
+		});
+	}
+
+	/**
+	* Returns a new DataFrame with the values of columns shifted by N rows within each leaf, N/A values filling the edges,
+	* the rows being kept in their original order
+	* @param {number} [n=1] Number of rows to shift by, backwards if negative
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to shift (defaults to all columns)
+	* @returns {DataFrame}
+	* @example
+	* // Adds the previous value of 'revenue' for each sector
+	* df.pivot('sector').shift(1, { columns: 'revenue' });
+	*/
+	shift(n = 1, options = {}) {
+		Validator.integer('PivotTable.shift()', 'n', n);
+		Validator.options('PivotTable.shift()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns }
+		]);
+
+		const columns = options.columns !== undefined ? this._selectColumns(options.columns) : this._columns;
+		return this._original._transform(columns, series => series.shift(n), this._pivots);
+	}
+
+	/**
+	* Returns a new DataFrame with the difference between each value of columns and the value N rows before within each leaf,
+	* the rows being kept in their original order
+	* @param {number} [n=1] Number of rows to compute the difference with
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the difference on (defaults to all number columns)
+	* @returns {DataFrame}
+	*/
+	diff(n = 1, options = {}) {
+		Validator.integer('PivotTable.diff()', 'n', n);
+		Validator.options('PivotTable.diff()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns }
+		]);
+
+		return this._original._transform(this._selectColumns(options.columns), series => series.diff(n), this._pivots);
+	}
+
+	/**
+	* Returns a new DataFrame with the relative change between each value of columns and the value N rows before within each leaf,
+	* the rows being kept in their original order
+	* @param {number} [n=1] Number of rows to compute the change with
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the change on (defaults to all number columns)
+	* @returns {DataFrame}
+	* @example
+	* // Computes the growth rates of 'revenue' for each sector
+	* df.pivot('sector').pctChange(1, { columns: 'revenue' });
+	*/
+	pctChange(n = 1, options = {}) {
+		Validator.integer('PivotTable.pctChange()', 'n', n);
+		Validator.options('PivotTable.pctChange()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns }
+		]);
+
+		return this._original._transform(this._selectColumns(options.columns), series => series.pctChange(n), this._pivots);
+	}
+
+	/**
+	* Returns a new DataFrame with the cumulative sum of columns within each leaf, N/A values being skipped,
+	* the rows being kept in their original order
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the cumulative sum on (defaults to all number columns)
+	* @returns {DataFrame}
+	* @example
+	* // Computes the running total of 'amount' for each client
+	* df.pivot('client').cumsum({ columns: 'amount' });
+	*/
+	cumsum(options = {}) {
+		Validator.options('PivotTable.cumsum()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns }
+		]);
+
+		return this._original._transform(this._selectColumns(options.columns), series => series.cumsum(), this._pivots);
+	}
+
+	/**
+	* Returns a new DataFrame with the cumulative product of columns within each leaf, N/A values being skipped,
+	* the rows being kept in their original order
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the cumulative product on (defaults to all number columns)
+	* @returns {DataFrame}
+	*/
+	cumprod(options = {}) {
+		Validator.options('PivotTable.cumprod()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns }
+		]);
+
+		return this._original._transform(this._selectColumns(options.columns), series => series.cumprod(), this._pivots);
+	}
+
+	/**
+	* Returns a new DataFrame with the cumulative minimum of columns within each leaf, N/A values being skipped,
+	* the rows being kept in their original order
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the cumulative minimum on (defaults to all number columns)
+	* @returns {DataFrame}
+	*/
+	cummin(options = {}) {
+		Validator.options('PivotTable.cummin()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns }
+		]);
+
+		return this._original._transform(this._selectColumns(options.columns), series => series.cummin(), this._pivots);
+	}
+
+	/**
+	* Returns a new DataFrame with the cumulative maximum of columns within each leaf, N/A values being skipped,
+	* the rows being kept in their original order
+	* @param {Object} [options]
+	* @param {(string|string[])} [options.columns] Column or array of columns to compute the cumulative maximum on (defaults to all number columns)
+	* @returns {DataFrame}
+	*/
+	cummax(options = {}) {
+		Validator.options('PivotTable.cummax()', options, [
+			{ key: 'columns', type: 'string|string[]', enum: this._columns }
+		]);
+
+		return this._original._transform(this._selectColumns(options.columns), series => series.cummax(), this._pivots);
+	}
+
+	_selectColumns(columns) {
+		if (columns === undefined)
+			return this._columns.filter(column => this._df._dtypes[column] === 'number');
+		return Array.isArray(columns) ? columns : [columns];
 	}
 
 	/**
@@ -215,6 +581,95 @@ class PivotTable {
 		return this.rollup(l => d3.deviation(l, d => +d[column]), { name: name });
 	}
 
+	_mapLeaves(callback) {
+		const DataFrame = require('./DataFrame.js');
+
+		const rows = [];
+		const walk = (node, keys) => {
+			Object.entries(node).forEach(([key, value]) => {
+				const path = [...keys, key];
+				if (value instanceof DataFrame) {
+					rows.push({
+						...this._pivots.reduce((acc, pivot, index) => ({ ...acc, [pivot]: path[index] }), {}),
+						...callback(value, path)
+					});
+				}
+				else {
+					walk(value, path);
+				}
+			});
+		};
+		walk(this._tree, []);
+		return rows;
+	}
+
+	static _toKey(value) {
+		// Dates are keyed by their ISO string, which preserves their chronological order
+		return value instanceof Date ? value.toISOString() : value;
+	}
+
+	_pivotDTypes() {
+		return this._pivots.reduce((acc, pivot) => ({ ...acc, [pivot]: this._df._dtypes[pivot] }), {});
+	}
+
+	static _parseAggregations(method, aggregations, columns) {
+		Validator.object(method, 'aggregations', aggregations);
+		Validator.array(method, 'columns', Object.keys(aggregations), { enum: columns });
+
+		return Object.entries(aggregations).reduce((acc, [column, spec]) => {
+			const capitalized = column[0].toUpperCase() + column.slice(1);
+			const entries = Array.isArray(spec)
+				? spec.map(reducer => [typeof reducer === 'function' ? column : reducer + capitalized, reducer])
+				: typeof spec === 'object' && spec
+					? Object.entries(spec)
+					: [[typeof spec === 'function' ? column : spec + capitalized, spec]];
+			entries.forEach(([name, reducer]) => {
+				if (acc.some(e => e.name === name))
+					throw new Error(`Invalid argument in ${method}: multiple aggregations are named '${name}'`);
+				acc.push({
+					name,
+					column,
+					reducer: typeof reducer === 'function'
+						? reducer
+						: PivotTable._getReducer(method, reducer)
+				});
+			});
+			return acc;
+		}, []);
+	}
+
+	static _getReducer(method, name) {
+		const kw = require('./Kiwis.js');
+		const values = data => data.filter(value => !kw.isNA(value));
+		const numbers = data => values(data).map(value => +value);
+
+		const quantile = name === 'q1' ? 0.25 : name === 'q3' ? 0.75
+			: /^p\d+(\.\d+)?$/.test(name) ? +name.slice(1) / 100 : undefined;
+		if (quantile !== undefined) {
+			if (quantile > 1)
+				throw new Error(`Invalid value '${name}' in ${method}: percentiles must be between 0 and 100`);
+			return data => d3.quantile(numbers(data).sort((a, b) => a - b), quantile);
+		}
+
+		const reducers = {
+			count: data => values(data).length,
+			countDistinct: data => new Set(values(data)).size,
+			first: data => values(data)[0],
+			last: data => values(data).slice(-1)[0],
+			sum: data => d3.sum(numbers(data)),
+			min: data => d3.min(numbers(data)),
+			max: data => d3.max(numbers(data)),
+			mean: data => d3.mean(numbers(data)),
+			median: data => d3.median(numbers(data)),
+			std: data => d3.deviation(numbers(data))
+		};
+		if (!Object.prototype.hasOwnProperty.call(reducers, name)) {
+			const names = [...Object.keys(reducers), 'q1', 'q3', 'pXX'];
+			throw new Error(`Invalid value '${name}' in ${method}: accepted reducers are ${names.slice(0, -1).map(e => `'${e}'`).join(', ')} or '${names[names.length - 1]}'`);
+		}
+		return reducers[name];
+	}
+
 	/**
 	* Formats the PivotTable for display
 	* @returns {string}
@@ -234,7 +689,7 @@ class PivotTable {
 				column.length,
 				d3.max(
 					this._df._data,
-					d => !this._kw.isNA(d[column]) ? d[column].toString().length : 0
+					d => !this._kw.isNA(d[column]) ? DTypes.toString(d[column]).length : 0
 				)
 			))
 			.map(width => width > MAX_WIDTH ? MAX_WIDTH : width);
@@ -260,7 +715,7 @@ class PivotTable {
 		let isPreviousVisible;
 		this._df._data.forEach((row, rowIndex) => {
 			const leaves = this._pivots.reduce((acc, column) => {
-				return acc[row[column]];
+				return acc[PivotTable._toKey(row[column])];
 			}, this._tree);
 			const isVisible = leaves.toArray().slice(0, MAX_LENGTH_LEAVES)
 				.some(e => this._kw.isEquivalent(e, Object.keys(row).reduce((acc, key) => {
@@ -278,13 +733,13 @@ class PivotTable {
 				...this._pivots.map((column, index) => {
 					if (!previousRow || previousRow[column] !== row[column]
 						|| this._pivots.slice(0, index).filter(column => row[column] !== previousRow[column]).length > 0)
-						return row[column].toString().padStart(widths[index]);
+						return DTypes.toString(row[column]).padStart(widths[index]);
 					return '.'.padStart(widths[index]);
 				})
 			];
 			if (isVisible) {
 				line.push(...visibleColumns.map((column, index) => {
-					const cell = !this._kw.isNA(row[column]) ? row[column].toString() : 'N/A';
+					const cell = !this._kw.isNA(row[column]) ? DTypes.toString(row[column]) : 'N/A';
 					return cell.length > MAX_WIDTH
 						? `${cell.substr(0, MAX_WIDTH - 3)}...`
 						: cell.padStart(widths[index + this._pivots.length]);
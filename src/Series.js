@@ -2,13 +2,22 @@
 
 const d3 = require('d3-array');
 
+const DateAccessor = require('./DateAccessor.js');
+const DTypes = require('./DTypes.js');
+const StringAccessor = require('./StringAccessor.js');
 const Validator = require('./Validator.js');
+const Window = require('./Window.js');
 
 
 /**
 * @class
 * @property {number} length The number of values in the Series
 * @property {boolean} empty Whether the Series contains any value or not
+* @property {('number'|'string'|'boolean'|'date'|'object')} dtype The type of the values in the Series
+* @property {DateAccessor} dt Accessor for the date properties and operations of a Series of dates
+* @property {StringAccessor} str Accessor for the string operations of a Series of strings
+* @property {Series} index The labels of the values of the Series, their positions if no index is set
+* @property {?Array} categories The ordered categories of the values (e.g. the bins returned by `Series.cut()`), null if not set
 */
 
 class Series {
@@ -17,20 +26,33 @@ class Series {
 	* @constructor
 	* @hideconstructor
 	* @param {(*[]|Series)} data An array of values or a Series
+	* @param {Object} [options]
+	* @param {string} [options.dtype] Type of the values, inferred if not set
+	* @param {Array} [options.index] Labels of the values
+	* @param {Array} [options.categories] Ordered categories of the values, which are sorted in this order
 	*/
-	constructor(data) {
+	constructor(data, options = {}) {
+		this._index = null;
+		this._categories = null;
 		if (!data) {
 			this._data = [];
+			this._dtype = options.dtype || 'object';
 		}
 		else if (data instanceof Series) {
-			this._data = data._data;
+			this._data = [...data._data];
+			this._dtype = data._dtype;
+			this._index = data._index && [...data._index];
+			this._categories = data._categories;
 		}
 		else {
-			this._data = Array.from(JSON.parse(JSON.stringify(data)));
-			this._data.forEach((value, index) => {
-				if (value && typeof value !== 'boolean' && !Number.isNaN(+value))
-					this._data[index] = +value;
-			});
+			this._data = Array.from(data);
+			this._dtype = options.dtype || DTypes.infer(this._data);
+			if (this._data.some(value => !DTypes.conforms(value, this._dtype)))
+				this._data = this._data.map(value => DTypes.cast(value, this._dtype, { method: 'Kiwis.Series()' }));
+			if (options.index && options.index.length === this._data.length)
+				this._index = Array.from(options.index);
+			if (options.categories)
+				this._categories = Array.from(options.categories);
 		}
 		this._data.forEach((value, index) => {
 			Object.defineProperty(this, index, {
@@ -49,6 +71,57 @@ class Series {
 		return this._data.length === 0;
 	}
 
+	get dtype() {
+		return this._dtype;
+	}
+
+	get dt() {
+		return new DateAccessor(this);
+	}
+
+	get str() {
+		return new StringAccessor(this);
+	}
+
+	get index() {
+		return new Series(this._labels());
+	}
+
+	get categories() {
+		return this._categories && [...this._categories];
+	}
+
+	// Returns a function giving the sort key of a value: its position among the categories if set, the value itself otherwise
+	static _sortKey(categories) {
+		if (!categories)
+			return value => value;
+		const positions = new Map(categories.map((category, position) => [Series._comparable(category), position]));
+		return value => positions.has(Series._comparable(value)) ? positions.get(Series._comparable(value)) : null;
+	}
+
+	_labels() {
+		return this._index || this._data.map((value, index) => index);
+	}
+
+	// Returns a new Series with the values at the given positions, keeping their labels
+	_take(positions) {
+		return new Series(positions.map(index => this._data[index]), {
+			dtype: this._dtype,
+			index: this._index && positions.map(index => this._index[index]),
+			categories: this._categories
+		});
+	}
+
+	_updateDType() {
+		if (this._data.every(value => DTypes.conforms(value, this._dtype))) return;
+		try {
+			this._data = this._data.map(value => DTypes.cast(value, this._dtype));
+		}
+		catch (error) {
+			this._dtype = 'object';
+		}
+	}
+
 	/**
 	* Returns the Series as an array
 	* @returns {*[]}
@@ -120,6 +193,7 @@ class Series {
 	set(index, value) {
 		Validator.integer('Series.set()', 'index', index, { range: [0, this.length - 1] });
 		this._data[index] = value;
+		this._updateDType();
 	}
 
 	/**
@@ -162,7 +236,7 @@ class Series {
 	slice(start, end = this.length) {
 		Validator.integer('Series.slice()', 'start', start);
 		Validator.integer('Series.slice()', 'end', end);
-		return new Series(this._data.slice(start, end));
+		return this._take([...this._data.keys()].slice(start, end));
 	}
 
 	/**
@@ -236,11 +310,11 @@ class Series {
 	*/
 	map(callback) {
 		Validator.function('Series.map()', 'callback', callback);
-		return new Series(this._data.map(callback));
+		return new Series(this._data.map(callback), { index: this._index });
 	}
 
 	/**
-	* Appends new values to a Series
+	* Appends new values to a Series, with N/A labels if the Series has an index
 	* @param {Object|Object[]} values Value or array of values to append to the Series
 	* @returns {Series}
 	* @example
@@ -249,11 +323,14 @@ class Series {
 	append(values) {
 		const data = Array.isArray(values) ? values : [values];
 		this._data = [...this._data, ...data];
+		if (this._index)
+			this._index = [...this._index, ...data.map(() => null)];
+		this._updateDType();
 		return this;
 	}
 
 	/**
-	* Inserts new values into a Series
+	* Inserts new values into a Series, with N/A labels if the Series has an index
 	* @param {*|*[]} values Value or array of values to insert into the Series
 	* @param {number} [index=0] Index to insert the values at
 	* @returns {Series}
@@ -266,6 +343,9 @@ class Series {
 
 		const data = Array.isArray(values) ? values : [values];
 		this._data.splice(index, 0, ...data);
+		if (this._index)
+			this._index.splice(index, 0, ...data.map(() => null));
+		this._updateDType();
 		return this;
 	}
 
@@ -311,6 +391,162 @@ class Series {
 		return this.filter(value => Boolean(value) || keep.includes(value));
 	}
 
+	/**
+	* Fills N/A values of the Series
+	* @param {(*|Object)} value Value to replace N/A values with, or filling strategy
+	* @param {('constant'|'mean'|'median'|'mode'|'ffill'|'bfill')} [value.method] Fills with a constant `value`, the mean, median or most frequent value of the Series, or propagates the previous (`'ffill'`) or next (`'bfill'`) non-N/A value
+	* @param {*} [value.value] Value to use with the `'constant'` method
+	* @param {number} [value.limit] Maximum number of consecutive N/A values to fill with `'ffill'` and `'bfill'`
+	* @param {Object} [options]
+	* @param {*[]} [options.keep=[0, false]] Array of falsy values not considered N/A
+	* @param {boolean} [options.inPlace=false] Changes the current Series instead of returning a new one
+	* @returns {Series}
+	* @example
+	* // Replaces N/A values with 0
+	* series.fillNA(0, { inPlace: true });
+	* // Propagates the last known value, at most twice in a row, keeping empty strings
+	* series.fillNA({ method: 'ffill', limit: 2 }, { keep: [0, false, ''] });
+	*/
+	fillNA(value, options = {}) {
+		Validator.options('Series.fillNA()', options, [
+			{ key: 'keep', type: '*[]' },
+			{ key: 'inPlace', type: 'boolean' }
+		]);
+
+		const strategy = Series._fillStrategy('Series.fillNA()', value);
+		const keep = options.keep || [0, false];
+		const inPlace = options.inPlace || false;
+
+		const isNA = value => this._kw.isNA(value, { keep });
+		const data = [...this._data];
+		switch (strategy.method) {
+			case 'constant':
+				data.forEach((value, index) => {
+					if (isNA(value)) data[index] = strategy.value;
+				});
+				break;
+			case 'mean':
+			case 'median':
+			case 'mode': {
+				const values = this._data.filter(value => !isNA(value));
+				if (strategy.method !== 'mode' && values.some(value => Number.isNaN(+value)))
+					throw new Error(`Error in Series.fillNA(): cannot compute the ${strategy.method} of non-number values`);
+				let fillValue;
+				if (strategy.method === 'mode') {
+					// Most frequent value, the first one encountered in case of a tie
+					const counts = new Map();
+					values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+					fillValue = [...counts].reduce((acc, entry) => entry[1] > acc[1] ? entry : acc, [null, 0])[0];
+				}
+				else
+					fillValue = d3[strategy.method](values, d => +d);
+				data.forEach((value, index) => {
+					if (isNA(value)) data[index] = fillValue !== undefined ? fillValue : null;
+				});
+				break;
+			}
+			case 'ffill':
+			case 'bfill': {
+				const indexes = data.map((value, index) => index);
+				if (strategy.method === 'bfill') indexes.reverse();
+				let last;
+				let count = 0;
+				indexes.forEach(index => {
+					if (!isNA(data[index])) {
+						last = data[index];
+						count = 0;
+					}
+					else if (last !== undefined && (strategy.limit === undefined || count < strategy.limit)) {
+						data[index] = last;
+						count++;
+					}
+				});
+				break;
+			}
+		}
+		return this._withData(data, inPlace);
+	}
+
+	/**
+	* Fills N/A values of the Series by interpolating between the surrounding non-N/A values;
+	* N/A values before the first or after the last non-N/A value are left unchanged
+	* @param {Object} [options]
+	* @param {('linear'|'nearest'|'time')} [options.method='linear'] Interpolates linearly on positions, uses the nearest non-N/A value, or interpolates linearly on the given `dates`
+	* @param {Series} [options.dates] Series of dates corresponding to the values, required by the `'time'` method
+	* @param {*[]} [options.keep=[0, false]] Array of falsy values not considered N/A
+	* @param {boolean} [options.inPlace=false] Changes the current Series instead of returning a new one
+	* @returns {Series}
+	* @example
+	* // Interpolates missing temperatures according to the dates of the measures
+	* df.temperature.interpolate({ method: 'time', dates: df.date });
+	*/
+	interpolate(options = {}) {
+		Validator.options('Series.interpolate()', options, [
+			{ key: 'method', type: 'string', enum: ['linear', 'nearest', 'time'] },
+			{ key: 'dates', type: 'object' },
+			{ key: 'keep', type: '*[]' },
+			{ key: 'inPlace', type: 'boolean' }
+		]);
+
+		const method = options.method || 'linear';
+		const keep = options.keep || [0, false];
+		const inPlace = options.inPlace || false;
+
+		let positions = this._data.map((value, index) => index);
+		if (method === 'time') {
+			Validator.instanceOf('Series.interpolate()', 'dates', options.dates, 'Series', Series);
+			if (options.dates.dtype !== 'date' || options.dates.length !== this.length)
+				throw new Error('Invalid option in Series.interpolate(): \'dates\' must be a Series of dates with the same length as the Series');
+			positions = options.dates.toArray().map(date => date ? date.getTime() : null);
+		}
+		const isNA = value => this._kw.isNA(value, { keep });
+		if (method !== 'nearest' && this._data.some(value => !isNA(value) && Number.isNaN(+value)))
+			throw new Error('Error in Series.interpolate(): cannot interpolate non-number values');
+
+		const known = this._data
+			.map((value, index) => index)
+			.filter(index => !isNA(this._data[index]) && positions[index] !== null);
+		const data = [...this._data];
+		known.slice(1).forEach((next, i) => {
+			const previous = known[i];
+			for (let index = previous + 1; index < next; index++) {
+				if (method === 'nearest') {
+					data[index] = index - previous <= next - index ? this._data[previous] : this._data[next];
+				}
+				else if (positions[index] !== null) {
+					const ratio = (positions[index] - positions[previous]) / (positions[next] - positions[previous]);
+					data[index] = +this._data[previous] + ratio * (this._data[next] - this._data[previous]);
+				}
+			}
+		});
+		return this._withData(data, inPlace);
+	}
+
+	_withData(data, inPlace) {
+		const dtype = data.every(value => DTypes.conforms(value, this._dtype)) ? this._dtype : 'object';
+		if (inPlace) {
+			this._data = data;
+			this._dtype = dtype;
+			return this;
+		}
+		return new Series(data, { dtype, index: this._index });
+	}
+
+	static _fillStrategy(method, value) {
+		if (value === undefined)
+			throw new Error(`Missing argument in ${method}: 'value' is required`);
+		const isStrategy = value !== null && typeof value === 'object' && !Array.isArray(value)
+			&& !(value instanceof Date) && 'method' in value;
+		if (!isStrategy)
+			return { method: 'constant', value };
+		Validator.options(method, value, [
+			{ key: 'method', type: 'string', enum: ['constant', 'mean', 'median', 'mode', 'ffill', 'bfill'] },
+			{ key: 'value' },
+			{ key: 'limit', type: 'number' }
+		]);
+		return value;
+	}
+
 	/**
 	* Drops duplicate values from the Series
 	* @param {Object} [options]
@@ -326,13 +562,18 @@ class Series {
 
 		const inPlace = options.inPlace || false;
 
+		const seen = new Set();
+		const positions = [...this._data.keys()].filter(index => {
+			if (seen.has(this._data[index])) return false;
+			seen.add(this._data[index]);
+			return true;
+		});
 		if (inPlace) {
-			this._data = [...new Set(this._data)];
+			this._data = positions.map(index => this._data[index]);
+			this._index = this._index && positions.map(index => this._index[index]);
 			return this;
 		}
-		const s = this.clone();
-		s._data = [...new Set(s._data)];
-		return s;
+		return this._take(positions);
 	}
 
 	/**
@@ -369,15 +610,19 @@ class Series {
 
 	/**
 	* Filters values of the Series
-	* @param {callback} filter Callback to apply
+	* @param {(callback|Series)} filter Callback to apply, or boolean Series of the same length as the Series (values whose mask is `true` are kept)
 	* @param {Object} [options]
 	* @param {boolean} [options.inPlace=false] Changes the current Series instead of returning a new one
 	* @returns {Series}
 	* @example
 	* // Only keeps values greater than 42
 	* series.filter(value => value > 42, { inPlace: true });
+	* // Only keeps values whose matching quantity is positive
+	* df.price.filter(df.quantity.gt(0));
 	*/
 	filter(filter, options = {}) {
+		if (filter instanceof Series)
+			filter = Series._mask('Series.filter()', filter, this.length);
 		Validator.function('Series.filter()', 'filter', filter);
 		Validator.options('Series.filter()', options, [
 			{ key: 'inPlace', type: 'boolean' }
@@ -385,17 +630,18 @@ class Series {
 
 		const inPlace = options.inPlace || false;
 
-		const filteredData = this._data.filter(filter);
+		const positions = [...this._data.keys()].filter(index => filter(this._data[index], index, this._data));
 		if (inPlace) {
-			this._data = filteredData;
+			this._data = positions.map(index => this._data[index]);
+			this._index = this._index && positions.map(index => this._index[index]);
 			return this;
 		}
-		return new Series(filteredData);
+		return this._take(positions);
 	}
 
 	/**
 	* Drops values from the Series
-	* @param {callback} filter Callback to apply
+	* @param {(callback|Series)} filter Callback to apply, or boolean Series of the same length as the Series (values whose mask is `true` are dropped)
 	* @param {Object} [options]
 	* @param {boolean} [options.inPlace=false] Changes the current Series instead of returning a new one
 	* @returns {Series}
@@ -404,16 +650,18 @@ class Series {
 	* series.drop(value => value > 42, { inPlace: true });
 	*/
 	drop(filter, options = {}) {
+		if (filter instanceof Series)
+			filter = Series._mask('Series.drop()', filter, this.length);
 		Validator.function('Series.drop()', 'filter', filter);
 		Validator.options('Series.drop()', options, [
 			{ key: 'inPlace', type: 'boolean' }
 		]);
 
-		return this.filter(e => !filter(e), options);
+		return this.filter((e, index) => !filter(e, index), options);
 	}
 
 	/**
-	* Sorts the Series
+	* Sorts the Series, in the order of its categories if they are set
 	* @param {Object} [options]
 	* @param {boolean} [options.reverse=false] Sorts the Series in descending order
 	* @param {boolean} [options.inPlace=false] Changes the current Series instead of returning a new one
@@ -431,14 +679,16 @@ class Series {
 		const reverse = options.reverse || false;
 		const inPlace = options.inPlace || false;
 
-		const sortedData = [...this._data].sort((a, b) => {
-			return reverse ? b - a : a - b;
+		const key = Series._sortKey(this._categories);
+		const positions = [...this._data.keys()].sort((a, b) => {
+			return reverse ? key(this._data[b]) - key(this._data[a]) : key(this._data[a]) - key(this._data[b]);
 		});
 		if (inPlace) {
-			this._data = sortedData;
+			this._data = positions.map(index => this._data[index]);
+			this._index = this._index && positions.map(index => this._index[index]);
 			return this;
 		}
-		return new Series(sortedData);
+		return this._take(positions);
 	}
 
 	/**
@@ -456,13 +706,48 @@ class Series {
 
 		const inPlace = options.inPlace || false;
 
+		const positions = [...this._data.keys()].sort(() => Math.random() - 0.5);
 		if (inPlace) {
-			this._data.sort(() => Math.random() - 0.5);
+			this._data = positions.map(index => this._data[index]);
+			this._index = this._index && positions.map(index => this._index[index]);
 			return this;
 		}
-		const s = this.clone();
-		s._data.sort(() => Math.random() - 0.5);
-		return s;
+		return this._take(positions);
+	}
+
+	/**
+	* Converts the values of the Series to the given type
+	* @param {('number'|'string'|'boolean'|'date'|'object')} dtype Type to convert to
+	* @param {Object} [options]
+	* @param {('raise'|'coerce')} [options.errors='raise'] Whether values that cannot be converted should throw an error or be replaced by null
+	* @param {string} [options.format] Format of the dates to parse (e.g. `'%d/%m/%Y'`), ISO dates are parsed if not set
+	* @param {boolean} [options.inPlace=false] Changes the current Series instead of returning a new one
+	* @returns {Series}
+	* @example
+	* // Converts the values of the Series to strings, preserving leading zeros
+	* series.astype('string', { inPlace: true });
+	* // Parses French dates
+	* series.astype('date', { format: '%d/%m/%Y', inPlace: true });
+	*/
+	astype(dtype, options = {}) {
+		Validator.string('Series.astype()', 'dtype', dtype, { enum: DTypes.types });
+		Validator.options('Series.astype()', options, [
+			{ key: 'errors', type: 'string', enum: ['raise', 'coerce'] },
+			{ key: 'format', type: 'string' },
+			{ key: 'inPlace', type: 'boolean' }
+		]);
+
+		const errors = options.errors || 'raise';
+		const format = options.format;
+		const inPlace = options.inPlace || false;
+
+		const data = this._data.map(value => DTypes.cast(value, dtype, { method: 'Series.astype()', errors, format }));
+		if (inPlace) {
+			this._data = data;
+			this._dtype = dtype;
+			return this;
+		}
+		return new Series(data, { dtype, index: this._index });
 	}
 
 	/**
@@ -473,6 +758,41 @@ class Series {
 		return [...new Set(this._data)];
 	}
 
+	/**
+	* Encodes the values of the Series as integer codes, starting at 0, N/A values being left as N/A
+	* @param {Object} [options]
+	* @param {boolean} [options.sort=false] Sorts the categories in ascending order instead of keeping their order of appearance
+	* @returns {{ codes: Series, categories: *[] }} The code of each value, and the unique non-N/A values (the code of a value being its position)
+	* @example
+	* const { codes, categories } = kw.Series(['b', 'a', null, 'b']).factorize();
+	* // codes: Series [0, 1, null, 0], categories: ['b', 'a']
+	*/
+	factorize(options = {}) {
+		Validator.options('Series.factorize()', options, [
+			{ key: 'sort', type: 'boolean' }
+		]);
+
+		const sort = options.sort || false;
+
+		const unique = new Map();
+		this._data.forEach(value => {
+			const key = JSON.stringify(Series._comparable(value));
+			if (!this._kw.isNA(value) && !unique.has(key)) unique.set(key, value);
+		});
+		const categories = [...unique.values()];
+		if (sort)
+			categories.sort((a, b) => d3.ascending(Series._comparable(a), Series._comparable(b)));
+
+		const codes = new Map(categories.map((category, code) => [JSON.stringify(Series._comparable(category)), code]));
+		return {
+			codes: new Series(
+				this._data.map(value => !this._kw.isNA(value) ? codes.get(JSON.stringify(Series._comparable(value))) : null),
+				{ dtype: 'number', index: this._index }
+			),
+			categories
+		};
+	}
+
 	/**
 	* Returns the number of occurrences for each value in the Series
 	* @param {Object} [options]
@@ -553,7 +873,7 @@ class Series {
 			this._data = this._data.map(value => (+value).toFixed(digits));
 			return this;
 		}
-		return new Series(this._data.map(value => (+value).toFixed(digits)));
+		return new Series(this._data.map(value => (+value).toFixed(digits)), { index: this._index });
 	}
 
 	/**
@@ -646,6 +966,811 @@ class Series {
 		return d3.deviation(this._data, d => +d);
 	}
 
+	/**
+	* Returns descriptive statistics of the Series, indexed by their names: the number of values, of N/A values
+	* and of unique values, then the mean, standard deviation, minimum, percentiles and maximum for numbers,
+	* the minimum and maximum for dates, or the most frequent value and its frequency for other types;
+	* the statistics are of type 'number' if they are all numbers, 'object' otherwise, keeping values such as '007' as is
+	* @param {Object} [options]
+	* @param {number[]} [options.percentiles=[0.25, 0.5, 0.75]] Percentiles to compute for numbers, between 0 and 1
+	* @returns {Series}
+	* @example
+	* df.income.describe().show();
+	* // count  | 1000
+	* // na     | 12
+	* // unique | 843
+	* // mean   | 31250.4
+	* // ...
+	*/
+	describe(options = {}) {
+		Validator.options('Series.describe()', options, [
+			{ key: 'percentiles', type: 'number[]' }
+		]);
+
+		const statistics = this._describe('Series.describe()', options);
+		return new Series(Object.values(statistics), {
+			dtype: Series._statisticsDType(Object.values(statistics)),
+			index: Object.keys(statistics)
+		});
+	}
+
+	// Type of described statistics, never inferred so that e.g. a most frequent value '007' is not parsed
+	static _statisticsDType(values) {
+		return values.every(value => value === null || typeof value === 'number') ? 'number' : 'object';
+	}
+
+	_describe(method, options) {
+		const percentiles = options.percentiles || [0.25, 0.5, 0.75];
+		if (percentiles.some(p => p < 0 || p > 1))
+			throw new Error(`Invalid option in ${method}: 'percentiles' must be between 0 and 1`);
+
+		const values = this._data.filter(value => !this._kw.isNA(value));
+		const statistics = {
+			count: values.length,
+			na: this.length - values.length,
+			unique: new Set(values.map(value => JSON.stringify(Series._comparable(value)))).size
+		};
+
+		if (this._dtype === 'number') {
+			const sorted = values.map(value => +value).sort((a, b) => a - b);
+			statistics.mean = sorted.length > 0 ? d3.mean(sorted) : null;
+			statistics.std = sorted.length > 1 ? d3.deviation(sorted) : null;
+			statistics.min = sorted.length > 0 ? sorted[0] : null;
+			percentiles.forEach(p => {
+				statistics[`${Math.round(p * 1e6) / 1e4}%`] = sorted.length > 0 ? Series._quantile(sorted, p, 'linear') : null;
+			});
+			statistics.max = sorted.length > 0 ? sorted[sorted.length - 1] : null;
+			return statistics;
+		}
+
+		if (this._dtype === 'date') {
+			const sorted = [...values].sort((a, b) => a - b);
+			statistics.min = sorted.length > 0 ? sorted[0] : null;
+			statistics.max = sorted.length > 0 ? sorted[sorted.length - 1] : null;
+			return statistics;
+		}
+
+		// The first value reaching the highest count is the most frequent one
+		const counts = new Map();
+		values.forEach(value => {
+			const key = JSON.stringify(Series._comparable(value));
+			if (!counts.has(key)) counts.set(key, { value, count: 0 });
+			counts.get(key).count++;
+		});
+		const top = [...counts.values()].reduce((top, entry) => top === null || entry.count > top.count ? entry : top, null);
+		statistics.top = top ? top.value : null;
+		statistics.freq = top ? top.count : null;
+		return statistics;
+	}
+
+	/**
+	* Returns the correlation between the Series and another one, computed on the positions where both values are not N/A
+	* @param {Series} other Series of the same length
+	* @param {Object} [options]
+	* @param {('pearson'|'spearman'|'kendall')} [options.method='pearson'] Correlation coefficient: linear, or based on the ranks of the values
+	* @param {number} [options.minPeriods=1] Minimum number of pairs of values to compute the correlation, null being returned otherwise
+	* @returns {?number}
+	* @example
+	* // Measures whether the taller people are, the heavier they are
+	* df.height.corr(df.weight, { method: 'spearman' });
+	*/
+	corr(other, options = {}) {
+		Validator.instanceOf('Series.corr()', 'other', other, 'Series', Series);
+		Series._validateCorrOptions('Series.corr()', options, [
+			{ key: 'method', type: 'string', enum: ['pearson', 'spearman', 'kendall'] }
+		]);
+
+		const [x, y] = this._pairwise('Series.corr()', other);
+		return Series._correlation(x, y, options.method || 'pearson', options.minPeriods || 1);
+	}
+
+	/**
+	* Returns the sample covariance between the Series and another one, computed on the positions where both values are not N/A
+	* @param {Series} other Series of the same length
+	* @param {Object} [options]
+	* @param {number} [options.minPeriods=1] Minimum number of pairs of values to compute the covariance, null being returned otherwise
+	* @returns {?number}
+	*/
+	cov(other, options = {}) {
+		Validator.instanceOf('Series.cov()', 'other', other, 'Series', Series);
+		Series._validateCorrOptions('Series.cov()', options);
+
+		const [x, y] = this._pairwise('Series.cov()', other);
+		return Series._covariance(x, y, options.minPeriods || 1);
+	}
+
+	static _validateCorrOptions(method, options, extraOptions = []) {
+		Validator.options(method, options, [
+			{ key: 'minPeriods', type: 'number' },
+			...extraOptions
+		]);
+		if (options.minPeriods !== undefined)
+			Validator.integer(method, 'minPeriods', options.minPeriods, { range: [1, Infinity] });
+	}
+
+	// Returns the pairs of values that are both not N/A, as two arrays of numbers
+	_pairwise(method, other) {
+		if (other.length !== this.length)
+			throw new Error(`Invalid argument in ${method}: 'other' must have the same length as the Series`);
+		this._checkNumbers(method);
+		other._checkNumbers(method);
+
+		const values = other.toArray();
+		const positions = [...this._data.keys()]
+			.filter(index => !this._kw.isNA(this._data[index]) && !this._kw.isNA(values[index]));
+		return [positions.map(index => +this._data[index]), positions.map(index => +values[index])];
+	}
+
+	static _covariance(x, y, minPeriods) {
+		if (x.length < Math.max(minPeriods, 2))
+			return null;
+		const meanX = d3.mean(x);
+		const meanY = d3.mean(y);
+		return d3.sum(x, (value, index) => (value - meanX) * (y[index] - meanY)) / (x.length - 1);
+	}
+
+	static _correlation(x, y, method, minPeriods) {
+		if (x.length < Math.max(minPeriods, 2))
+			return null;
+
+		if (method === 'kendall') {
+			// Tau-b, accounting for ties in either Series
+			let concordant = 0;
+			let tiesX = 0;
+			let tiesY = 0;
+			let pairs = 0;
+			for (let i = 0; i < x.length; i++) {
+				for (let j = i + 1; j < x.length; j++) {
+					const sign = Math.sign(x[i] - x[j]) * Math.sign(y[i] - y[j]);
+					pairs++;
+					concordant += sign;
+					if (x[i] === x[j]) tiesX++;
+					if (y[i] === y[j]) tiesY++;
+				}
+			}
+			const denominator = Math.sqrt((pairs - tiesX) * (pairs - tiesY));
+			return denominator > 0 ? concordant / denominator : null;
+		}
+
+		if (method === 'spearman') {
+			x = new Series(x).rank().toArray();
+			y = new Series(y).rank().toArray();
+		}
+		const deviations = d3.deviation(x) * d3.deviation(y);
+		return deviations > 0 ? Series._covariance(x, y, minPeriods) / deviations : null;
+	}
+
+	/**
+	* Returns the quantile of the values in the Series, or a Series of quantiles indexed by their orders, N/A values being skipped
+	* @param {(number|number[])} q Order of the quantile, or array of orders, between 0 and 1
+	* @param {Object} [options]
+	* @param {('linear'|'lower'|'higher'|'nearest'|'midpoint')} [options.interpolation='linear'] How to compute a quantile falling between two values
+	* @returns {(number|Series)}
+	* @example
+	* // Returns the first decile
+	* series.quantile(0.1);
+	*
+	* // Returns the quartiles, as values of the Series
+	* series.quantile([0.25, 0.5, 0.75], { interpolation: 'nearest' });
+	*/
+	quantile(q, options = {}) {
+		if (q === undefined)
+			throw new Error('Missing argument in Series.quantile(): \'q\' is required');
+		if (Array.isArray(q))
+			Validator.array('Series.quantile()', 'q', q, { type: 'number' });
+		else if (typeof q !== 'number')
+			throw new Error('Invalid argument in Series.quantile(): \'q\' must be a number or an array of numbers');
+		Validator.options('Series.quantile()', options, [
+			{ key: 'interpolation', type: 'string', enum: ['linear', 'lower', 'higher', 'nearest', 'midpoint'] }
+		]);
+		const orders = Array.isArray(q) ? q : [q];
+		if (orders.some(p => p < 0 || p > 1))
+			throw new Error('Invalid argument in Series.quantile(): \'q\' must be between 0 and 1');
+		this._checkNumbers('Series.quantile()');
+
+		const interpolation = options.interpolation || 'linear';
+
+		const sorted = this._data.filter(value => !this._kw.isNA(value)).map(value => +value).sort((a, b) => a - b);
+		const quantiles = orders.map(p => sorted.length > 0 ? Series._quantile(sorted, p, interpolation) : null);
+		return Array.isArray(q) ? new Series(quantiles, { dtype: 'number', index: q }) : quantiles[0];
+	}
+
+	static _quantile(sorted, p, interpolation) {
+		const position = (sorted.length - 1) * p;
+		const lower = sorted[Math.floor(position)];
+		const upper = sorted[Math.ceil(position)];
+		switch (interpolation) {
+			case 'lower':
+				return lower;
+			case 'higher':
+				return upper;
+			case 'nearest':
+				return sorted[Math.round(position)];
+			case 'midpoint':
+				return (lower + upper) / 2;
+		}
+		return lower + (upper - lower) * (position - Math.floor(position));
+	}
+
+	/**
+	* Returns a new Series with the rank of each value, starting at 1, N/A values being left as N/A
+	* @param {Object} [options]
+	* @param {('average'|'min'|'max'|'dense'|'first')} [options.method='average'] Rank of equal values: the average, lowest or highest of their ranks, the lowest rank without gaps between groups of equal values, or ranks in order of appearance
+	* @param {boolean} [options.reverse=false] Ranks the values in descending order
+	* @param {boolean} [options.pct=false] Returns ranks as fractions of the number of ranked values
+	* @returns {Series}
+	* @example
+	* // Ranks the scores, the highest score being ranked first
+	* df.score.rank({ method: 'min', reverse: true });
+	*/
+	rank(options = {}) {
+		Validator.options('Series.rank()', options, [
+			{ key: 'method', type: 'string', enum: ['average', 'min', 'max', 'dense', 'first'] },
+			{ key: 'reverse', type: 'boolean' },
+			{ key: 'pct', type: 'boolean' }
+		]);
+
+		const method = options.method || 'average';
+		const reverse = options.reverse || false;
+		const pct = options.pct || false;
+
+		const comparables = this._data.map(Series._comparable);
+		const positions = [...this._data.keys()]
+			.filter(index => !this._kw.isNA(this._data[index]))
+			.sort((a, b) => (reverse ? d3.descending : d3.ascending)(comparables[a], comparables[b]) || a - b);
+
+		const ranks = this._data.map(() => null);
+		let dense = 0;
+		for (let start = 0; start < positions.length;) {
+			let end = start + 1;
+			while (end < positions.length && comparables[positions[end]] === comparables[positions[start]])
+				end++;
+			dense++;
+			positions.slice(start, end).forEach((position, offset) => {
+				switch (method) {
+					case 'min': ranks[position] = start + 1; break;
+					case 'max': ranks[position] = end; break;
+					case 'dense': ranks[position] = dense; break;
+					case 'first': ranks[position] = start + offset + 1; break;
+					default: ranks[position] = (start + 1 + end) / 2;
+				}
+			});
+			start = end;
+		}
+		const count = method === 'dense' ? dense : positions.length;
+		return new Series(
+			pct ? ranks.map(rank => rank !== null ? rank / count : null) : ranks,
+			{ dtype: 'number', index: this._index }
+		);
+	}
+
+	/**
+	* Returns a new Series with the bin of each value, as a label (e.g. `'(10, 20]'`) or as a position starting at 0,
+	* values outside of the bins being N/A; the labels are the categories of the Series, so that they sort in the order of the bins
+	* @param {(number|number[])} bins Number of bins of equal width covering the values, or increasing array of bin edges
+	* @param {Object} [options]
+	* @param {(string[]|boolean)} [options.labels=true] Labels of the bins, `true` to label bins with their intervals, or `false` to return their positions
+	* @param {boolean} [options.right=true] Whether the bins include their right edge instead of their left edge
+	* @param {boolean} [options.includeLowest=false] Whether the first bin also includes its left edge when `right` is true (bins computed from a number always include the extreme values, and are widened by 0.1% on each side if all values are equal)
+	* @param {number} [options.precision=3] Number of decimals of the edges in the labels
+	* @returns {Series}
+	* @example
+	* // Buckets ages into age groups, then counts people by age group and gender
+	* df.addColumn('ageGroup', df.age.cut([0, 18, 35, 65, 120], { labels: ['child', 'young', 'adult', 'senior'] }), { inPlace: true });
+	* df.pivot(['ageGroup', 'gender']).count();
+	*/
+	cut(bins, options = {}) {
+		if (Array.isArray(bins))
+			Validator.array('Series.cut()', 'bins', bins, { type: 'number' });
+		else
+			Validator.integer('Series.cut()', 'bins', bins, { range: [1, Infinity] });
+		this._validateBinOptions('Series.cut()', options, [
+			{ key: 'right', type: 'boolean' },
+			{ key: 'includeLowest', type: 'boolean' }
+		]);
+		this._checkNumbers('Series.cut()');
+
+		const right = options.right !== undefined ? options.right : true;
+		let edges = bins;
+		let closed = right && (options.includeLowest || false);
+		if (!Array.isArray(bins)) {
+			const values = this._data.filter(value => !this._kw.isNA(value)).map(value => +value);
+			if (values.length === 0)
+				throw new Error('Error in Series.cut(): cannot compute bins without values');
+			let [min, max] = d3.extent(values);
+			if (min === max) {
+				min -= min !== 0 ? Math.abs(min) * 0.001 : 0.001;
+				max += max !== 0 ? Math.abs(max) * 0.001 : 0.001;
+			}
+			edges = [...Array(bins + 1).keys()].map(index => index === bins ? max : min + (max - min) * index / bins);
+			closed = true;
+		}
+		return this._bin('Series.cut()', edges, { labels: options.labels, precision: options.precision, right, closed });
+	}
+
+	/**
+	* Returns a new Series with the quantile-based bin of each value, as a label (e.g. `'(10, 20]'`) or as a position starting at 0,
+	* so that the bins contain about the same number of values; the labels sort in the order of the bins, as with `Series.cut()`
+	* @param {(number|number[])} q Number of bins (e.g. 4 for quartiles), or increasing array of quantile orders between 0 and 1
+	* @param {Object} [options]
+	* @param {(string[]|boolean)} [options.labels=true] Labels of the bins, `true` to label bins with their intervals, or `false` to return their positions
+	* @param {number} [options.precision=3] Number of decimals of the edges in the labels
+	* @param {('raise'|'drop')} [options.duplicates='raise'] Whether equal bin edges, e.g. from a frequent value, throw an error or are merged into a single edge
+	* @returns {Series}
+	* @example
+	* // Buckets incomes into quintiles
+	* df.income.qcut(5, { labels: ['Q1', 'Q2', 'Q3', 'Q4', 'Q5'] });
+	*/
+	qcut(q, options = {}) {
+		if (Array.isArray(q))
+			Validator.array('Series.qcut()', 'q', q, { type: 'number' });
+		else
+			Validator.integer('Series.qcut()', 'q', q, { range: [1, Infinity] });
+		this._validateBinOptions('Series.qcut()', options, [
+			{ key: 'duplicates', type: 'string', enum: ['raise', 'drop'] }
+		]);
+		const orders = Array.isArray(q) ? q : [...Array(q + 1).keys()].map(index => index / q);
+		if (orders.some(p => p < 0 || p > 1))
+			throw new Error('Invalid argument in Series.qcut(): \'q\' must be between 0 and 1');
+		this._checkNumbers('Series.qcut()');
+
+		const sorted = this._data.filter(value => !this._kw.isNA(value)).map(value => +value).sort((a, b) => a - b);
+		if (sorted.length === 0)
+			throw new Error('Error in Series.qcut(): cannot compute bins without values');
+		let edges = orders.map(p => Series._quantile(sorted, p, 'linear'));
+		if (edges.some((edge, index) => index > 0 && edge === edges[index - 1])) {
+			if (options.duplicates !== 'drop')
+				throw new Error('Error in Series.qcut(): bin edges must be unique, set \'duplicates\' to \'drop\' to merge equal edges');
+			edges = edges.filter((edge, index) => index === 0 || edge !== edges[index - 1]);
+		}
+		return this._bin('Series.qcut()', edges, { labels: options.labels, precision: options.precision, right: true, closed: true });
+	}
+
+	_validateBinOptions(method, options, extraOptions = []) {
+		Validator.options(method, options, [
+			{ key: 'labels', type: 'string[]|boolean' },
+			{ key: 'precision', type: 'number' },
+			...extraOptions
+		]);
+		if (options.precision !== undefined)
+			Validator.integer(method, 'precision', options.precision, { range: [0, 100] });
+	}
+
+	_bin(method, edges, options) {
+		if (edges.length < 2)
+			throw new Error(`Error in ${method}: at least 2 bin edges are required`);
+		if (edges.some((edge, index) => index > 0 && edge <= edges[index - 1]))
+			throw new Error(`Error in ${method}: bin edges must be unique and increasing`);
+
+		const labels = options.labels !== undefined ? options.labels : true;
+		const precision = options.precision !== undefined ? options.precision : 3;
+		// Closed bins also include the outer edge, i.e. the lowest edge if they include their right edge and conversely
+		const { right, closed } = options;
+		if (Array.isArray(labels) && labels.length !== edges.length - 1)
+			throw new Error(`Invalid option in ${method}: 'labels' must contain one label per bin`);
+
+		const format = edge => (+edge.toFixed(precision)).toString();
+		const names = Array.isArray(labels)
+			? labels
+			: edges.slice(1).map((edge, index) => {
+				const isOuter = closed && index === (right ? 0 : edges.length - 2);
+				return right
+					? `${isOuter ? '[' : '('}${format(edges[index])}, ${format(edge)}]`
+					: `[${format(edges[index])}, ${format(edge)}${isOuter ? ']' : ')'}`;
+			});
+
+		const last = edges.length - 1;
+		const data = this._data.map(value => {
+			if (this._kw.isNA(value))
+				return null;
+			const number = +value;
+			let position = right
+				? d3.bisectLeft(edges, number) - 1
+				: d3.bisectRight(edges, number) - 1;
+			if (closed && number === (right ? edges[0] : edges[last]))
+				position = right ? 0 : last - 1;
+			if (position < 0 || position >= last)
+				return null;
+			return labels === false ? position : names[position];
+		});
+		// Labels are categories in the order of the bins, e.g. to sort them or to pivot on them
+		return new Series(data, {
+			dtype: labels === false ? 'number' : 'string',
+			index: this._index,
+			categories: labels === false ? null : names
+		});
+	}
+
+	/**
+	* Returns a new Series with the values shifted by N positions, N/A values filling the edges
+	* @param {number} [n=1] Number of positions to shift by, backwards if negative
+	* @returns {Series}
+	* @example
+	* // Returns the previous value for each position
+	* series.shift();
+	*/
+	shift(n = 1) {
+		Validator.integer('Series.shift()', 'n', n);
+
+		const data = this._data.map((value, index) => {
+			return index - n >= 0 && index - n < this.length ? this._data[index - n] : null;
+		});
+		return new Series(data, { dtype: this._dtype, index: this._index });
+	}
+
+	/**
+	* Returns a new Series with the difference between each value and the value N positions before
+	* @param {number} [n=1] Number of positions to compute the difference with
+	* @returns {Series}
+	* @example
+	* // Returns the daily variation of a Series of daily measures
+	* series.diff();
+	*/
+	diff(n = 1) {
+		Validator.integer('Series.diff()', 'n', n);
+		this._checkNumbers('Series.diff()');
+
+		const previous = this.shift(n).toArray();
+		return new Series(this._data.map((value, index) => {
+			return !this._kw.isNA(value) && !this._kw.isNA(previous[index]) ? value - previous[index] : null;
+		}), { dtype: 'number', index: this._index });
+	}
+
+	/**
+	* Returns a new Series with the relative change between each value and the value N positions before
+	* @param {number} [n=1] Number of positions to compute the change with
+	* @returns {Series}
+	* @example
+	* // Returns the growth rates of a Series of yearly revenues
+	* series.pctChange();
+	*/
+	pctChange(n = 1) {
+		Validator.integer('Series.pctChange()', 'n', n);
+		this._checkNumbers('Series.pctChange()');
+
+		const previous = this.shift(n).toArray();
+		return new Series(this._data.map((value, index) => {
+			return !this._kw.isNA(value) && !this._kw.isNA(previous[index]) ? value / previous[index] - 1 : null;
+		}), { dtype: 'number', index: this._index });
+	}
+
+	/**
+	* Returns a new Series with the cumulative sum of the values, N/A values being skipped
+	* @returns {Series}
+	*/
+	cumsum() {
+		this._checkNumbers('Series.cumsum()');
+		return this._accumulate((acc, value) => acc + value);
+	}
+
+	/**
+	* Returns a new Series with the cumulative product of the values, N/A values being skipped
+	* @returns {Series}
+	*/
+	cumprod() {
+		this._checkNumbers('Series.cumprod()');
+		return this._accumulate((acc, value) => acc * value);
+	}
+
+	/**
+	* Returns a new Series with the cumulative minimum of the values, N/A values being skipped
+	* @returns {Series}
+	*/
+	cummin() {
+		this._checkNumbers('Series.cummin()');
+		return this._accumulate((acc, value) => Math.min(acc, value));
+	}
+
+	/**
+	* Returns a new Series with the cumulative maximum of the values, N/A values being skipped
+	* @returns {Series}
+	*/
+	cummax() {
+		this._checkNumbers('Series.cummax()');
+		return this._accumulate((acc, value) => Math.max(acc, value));
+	}
+
+	_checkNumbers(method) {
+		if (this.any(value => !this._kw.isNA(value) && Number.isNaN(+value)))
+			throw new Error(`Error in ${method}: cannot compute non-number values`);
+	}
+
+	_accumulate(callback) {
+		let acc;
+		return new Series(this._data.map(value => {
+			if (this._kw.isNA(value)) return null;
+			acc = acc === undefined ? +value : callback(acc, +value);
+			return acc;
+		}), { dtype: 'number', index: this._index });
+	}
+
+	/**
+	* Adds another Series or a number to the Series, element-wise
+	* @param {(Series|number)} other Series of the same length or number to add
+	* @returns {Series}
+	* @example
+	* // Computes the total of two columns
+	* df.price.add(df.shipping);
+	*/
+	add(other) {
+		return this._arithmetic('Series.add()', other, (a, b) => a + b);
+	}
+
+	/**
+	* Subtracts another Series or a number from the Series, element-wise
+	* @param {(Series|number)} other Series of the same length or number to subtract
+	* @returns {Series}
+	*/
+	sub(other) {
+		return this._arithmetic('Series.sub()', other, (a, b) => a - b);
+	}
+
+	/**
+	* Multiplies the Series by another Series or a number, element-wise
+	* @param {(Series|number)} other Series of the same length or number to multiply by
+	* @returns {Series}
+	* @example
+	* // Computes the amount of each order
+	* df.addColumn('amount', df.price.mul(df.quantity), { inPlace: true });
+	*/
+	mul(other) {
+		return this._arithmetic('Series.mul()', other, (a, b) => a * b);
+	}
+
+	/**
+	* Divides the Series by another Series or a number, element-wise
+	* @param {(Series|number)} other Series of the same length or number to divide by
+	* @returns {Series}
+	*/
+	div(other) {
+		return this._arithmetic('Series.div()', other, (a, b) => a / b);
+	}
+
+	/**
+	* Computes the remainder of the division of the Series by another Series or a number, element-wise
+	* @param {(Series|number)} other Series of the same length or number to divide by
+	* @returns {Series}
+	*/
+	mod(other) {
+		return this._arithmetic('Series.mod()', other, (a, b) => a % b);
+	}
+
+	/**
+	* Raises the Series to the power of another Series or a number, element-wise
+	* @param {(Series|number)} other Series of the same length or number to use as exponent
+	* @returns {Series}
+	*/
+	pow(other) {
+		return this._arithmetic('Series.pow()', other, (a, b) => Math.pow(a, b));
+	}
+
+	/**
+	* Tests whether the values are equal to another Series or a value, element-wise
+	* @param {(Series|*)} other Series of the same length or value to compare with
+	* @returns {Series}
+	* @example
+	* // Only keeps the rows whose status is 'done'
+	* df.filter(df.status.eq('done'));
+	*/
+	eq(other) {
+		return this._compare('Series.eq()', other, (a, b) => a === b);
+	}
+
+	/**
+	* Tests whether the values are different from another Series or a value, element-wise
+	* @param {(Series|*)} other Series of the same length or value to compare with
+	* @returns {Series}
+	*/
+	ne(other) {
+		return this._compare('Series.ne()', other, (a, b) => a !== b);
+	}
+
+	/**
+	* Tests whether the values are greater than another Series or a value, element-wise
+	* @param {(Series|*)} other Series of the same length or value to compare with
+	* @returns {Series}
+	* @example
+	* // Only keeps the values greater than 42
+	* series.filter(series.gt(42));
+	*/
+	gt(other) {
+		return this._compare('Series.gt()', other, (a, b) => a > b);
+	}
+
+	/**
+	* Tests whether the values are greater than or equal to another Series or a value, element-wise
+	* @param {(Series|*)} other Series of the same length or value to compare with
+	* @returns {Series}
+	*/
+	ge(other) {
+		return this._compare('Series.ge()', other, (a, b) => a >= b);
+	}
+
+	/**
+	* Tests whether the values are less than another Series or a value, element-wise
+	* @param {(Series|*)} other Series of the same length or value to compare with
+	* @returns {Series}
+	*/
+	lt(other) {
+		return this._compare('Series.lt()', other, (a, b) => a < b);
+	}
+
+	/**
+	* Tests whether the values are less than or equal to another Series or a value, element-wise
+	* @param {(Series|*)} other Series of the same length or value to compare with
+	* @returns {Series}
+	*/
+	le(other) {
+		return this._compare('Series.le()', other, (a, b) => a <= b);
+	}
+
+	/**
+	* Tests whether the values are between two bounds, element-wise
+	* @param {(Series|*)} lower Series of the same length or value to use as lower bound
+	* @param {(Series|*)} upper Series of the same length or value to use as upper bound
+	* @param {Object} [options]
+	* @param {('both'|'neither'|'left'|'right')} [options.inclusive='both'] Which bounds are included
+	* @returns {Series}
+	* @example
+	* // Only keeps the rows dated from 2020
+	* df.filter(df.date.between(new Date('2020-01-01'), new Date('2021-01-01'), { inclusive: 'left' }));
+	*/
+	between(lower, upper, options = {}) {
+		Validator.options('Series.between()', options, [
+			{ key: 'inclusive', type: 'string', enum: ['both', 'neither', 'left', 'right'] }
+		]);
+
+		const inclusive = options.inclusive || 'both';
+
+		const aboveLower = ['both', 'left'].includes(inclusive)
+			? this._compare('Series.between()', lower, (a, b) => a >= b)
+			: this._compare('Series.between()', lower, (a, b) => a > b);
+		const belowUpper = ['both', 'right'].includes(inclusive)
+			? this._compare('Series.between()', upper, (a, b) => a <= b)
+			: this._compare('Series.between()', upper, (a, b) => a < b);
+		const below = belowUpper.toArray();
+		return new Series(aboveLower.toArray().map((value, index) => {
+			return value === null || below[index] === null ? null : value && below[index];
+		}), { dtype: 'boolean', index: this._index });
+	}
+
+	/**
+	* Tests whether the values are contained in an array of values, element-wise
+	* @param {(*[]|Series)} values Array or Series of accepted values
+	* @returns {Series}
+	* @example
+	* // Only keeps the rows whose country is France or Belgium
+	* df.filter(df.country.isIn(['France', 'Belgium']));
+	*/
+	isIn(values) {
+		if (values instanceof Series)
+			values = values.toArray();
+		Validator.array('Series.isIn()', 'values', values);
+
+		const accepted = new Set(values.map(Series._comparable));
+		return new Series(this._data.map(value => {
+			return !this._kw.isNA(value) ? accepted.has(Series._comparable(value)) : null;
+		}), { dtype: 'boolean', index: this._index });
+	}
+
+	// Applies an operation element-wise, N/A values on either side resulting in N/A
+	_elementWise(method, other, callback, dtype, keep = [0, false]) {
+		let others;
+		if (other instanceof Series) {
+			if (other.length !== this.length)
+				throw new Error(`Invalid argument in ${method}: 'other' must have the same length as the Series`);
+			others = other.toArray();
+		}
+		else {
+			if (other === undefined)
+				throw new Error(`Missing argument in ${method}: 'other' is required`);
+			others = this._data.map(() => other);
+		}
+		return new Series(this._data.map((value, index) => {
+			return !this._kw.isNA(value, { keep }) && !this._kw.isNA(others[index], { keep })
+				? callback(value, others[index])
+				: null;
+		}), { dtype, index: this._index });
+	}
+
+	_arithmetic(method, other, callback) {
+		this._checkNumbers(method);
+		if (other instanceof Series)
+			other._checkNumbers(method);
+		else if (!this._kw.isNA(other) && Number.isNaN(+other))
+			throw new Error(`Invalid argument in ${method}: 'other' must be a Series or a number`);
+		return this._elementWise(method, other, (a, b) => callback(+a, +b), 'number');
+	}
+
+	_compare(method, other, callback) {
+		if (this._dtype === 'date' && !(other instanceof Series) && !this._kw.isNA(other))
+			other = DTypes.cast(other, 'date', { method });
+		// An explicit scalar operand is compared as is, e.g. eq('') matches the empty strings
+		const keep = other instanceof Series || other === null ? [0, false] : [0, false, other];
+		return this._elementWise(method, other, (a, b) => {
+			return callback(Series._comparable(a), Series._comparable(b));
+		}, 'boolean', keep);
+	}
+
+	// Converts a boolean Series into a filter callback
+	static _mask(method, mask, length) {
+		if (mask.length !== length)
+			throw new Error(`Invalid argument in ${method}: 'filter' must have the same length as the ${method.split('.')[0]}`);
+		const values = mask.toArray();
+		return (value, index) => values[index] === true;
+	}
+
+	static _comparable(value) {
+		if (Array.isArray(value))
+			return JSON.stringify(value.map(Series._comparable));
+		return value instanceof Date ? value.getTime() : value;
+	}
+
+	/**
+	* Returns a rolling window over the Series, on which statistics can be computed
+	* @param {number} window Number of values in each window
+	* @param {Object} [options]
+	* @param {number} [options.minPeriods=window] Minimum number of non-N/A values in a window to compute a result
+	* @param {boolean} [options.center=false] Centers the windows on each value instead of ending them on it
+	* @returns {Window}
+	* @example
+	* // Computes the moving average over 7 values
+	* series.rolling(7).mean();
+	* // Computes the centered moving maximum over 3 values
+	* series.rolling(3, { center: true, minPeriods: 1 }).max();
+	*/
+	rolling(window, options = {}) {
+		Validator.integer('Series.rolling()', 'window', window, { range: [1, Infinity] });
+		Validator.options('Series.rolling()', options, [
+			{ key: 'minPeriods', type: 'number' },
+			{ key: 'center', type: 'boolean' }
+		]);
+
+		return new Window(this, 'rolling', 'Series.rolling()', { ...options, window });
+	}
+
+	/**
+	* Returns an expanding window over the Series, including all previous values, on which statistics can be computed
+	* @param {Object} [options]
+	* @param {number} [options.minPeriods=1] Minimum number of non-N/A values in a window to compute a result
+	* @returns {Window}
+	* @example
+	* // Computes the running maximum of the Series
+	* series.expanding().max();
+	*/
+	expanding(options = {}) {
+		Validator.options('Series.expanding()', options, [
+			{ key: 'minPeriods', type: 'number' }
+		]);
+
+		return new Window(this, 'expanding', 'Series.expanding()', options);
+	}
+
+	/**
+	* Returns an exponentially weighted window over the Series, on which the mean and standard deviation can be computed
+	* @param {Object} options Exactly one of `alpha`, `span` or `halfLife` is required
+	* @param {number} [options.alpha] Smoothing factor, between 0 (excluded) and 1
+	* @param {number} [options.span] Span of the window, such as alpha = 2 / (span + 1)
+	* @param {number} [options.halfLife] Number of values after which the weight of a value is halved
+	* @param {boolean} [options.adjust=true] Divides by the sum of the decaying weights, instead of computing the mean recursively
+	* @param {number} [options.minPeriods=1] Minimum number of non-N/A values to compute a result
+	* @returns {Window}
+	* @example
+	* // Computes the exponentially weighted moving average with a span of 10 values
+	* series.ewm({ span: 10 }).mean();
+	*/
+	ewm(options = {}) {
+		Validator.options('Series.ewm()', options, [
+			{ key: 'alpha', type: 'number' },
+			{ key: 'span', type: 'number' },
+			{ key: 'halfLife', type: 'number' },
+			{ key: 'adjust', type: 'boolean' },
+			{ key: 'minPeriods', type: 'number' }
+		]);
+
+		return new Window(this, 'ewm', 'Series.ewm()', { ...options, alpha: Window._alpha('Series.ewm()', options) });
+	}
+
 	/**
 	* Formats the Series for display
 	* @returns {string}
@@ -658,18 +1783,21 @@ class Series {
 		const MAX_WIDTH = 42;
 		const MAX_LENGTH = 25;
 
+		const format = value => !this._kw.isNA(value) ? DTypes.toString(value) : 'N/A';
+		const labels = this._labels().slice(0, MAX_LENGTH)
+			.map(label => Array.isArray(label) ? label.map(format).join(' | ') : format(label));
 		const widths = [
-			Math.min(MAX_LENGTH.toString().length, this.length.toString().length),
-			Math.min(MAX_WIDTH, d3.max(this._data, d => d && d.toString().length))
+			Math.min(MAX_WIDTH, d3.max(labels, label => label.length)),
+			Math.min(MAX_WIDTH, d3.max(this._data, d => d && DTypes.toString(d).length))
 		];
 
 		const lines = [];
 		this._data
 			.slice(0, MAX_LENGTH)
-			.map(value => !this._kw.isNA(value) ? value.toString() : 'N/A')
+			.map(value => !this._kw.isNA(value) ? DTypes.toString(value) : 'N/A')
 			.forEach((value, index) => {
 				const line = [
-					index.toString().padEnd(widths[0]),
+					labels[index].substr(0, MAX_WIDTH).padEnd(widths[0]),
 					value.length > MAX_WIDTH
 						? `${value.substr(0, MAX_WIDTH - 3)}...`
 						: value.padStart(widths[1])
@@ -695,20 +1823,30 @@ class Series {
 	* @param {string} [path=null] Path of the file to save
 	* @param {Object} [options]
 	* @param {string} [options.name='series'] Column name to use
-	* @returns {string|undefined} A JSON string if `path` is not set
+	* @param {('minimal'|'all'|'nonnumeric')} [options.quoting='minimal'] Values to quote: only those containing a quote or a line break, all of them, or all but numbers and N/A values
+	* @param {string} [options.lineTerminator='\n'] Characters ending each line
+	* @param {boolean} [options.header=true] Writes the column name on the first line
+	* @param {string} [options.naRep=''] Representation of N/A values
+	* @param {string} [options.dateFormat] Format of the dates (e.g. `'%d/%m/%Y'`), ISO dates being written by default
+	* @param {number} [options.floatPrecision] Number of decimals of non-integer numbers
+	* @param {boolean} [options.bom=false] Starts the content with a byte order mark
+	* @param {string} [options.encoding='utf8'] Encoding of the file
+	* @returns {string|undefined} A CSV string if `path` is not set
 	* @example
 	* series.toCSV('myAwesomeData.csv', { name: 'awesome' });
 	*/
 	toCSV(path, options = {}) {
-		Validator.options('Series.toCSV()', options, [
+		const DataFrame = require('./DataFrame.js');
+		DataFrame._validateCSVWriteOptions('Series.toCSV()', options, [
 			{ key: 'name', type: 'string' }
 		]);
 
 		const name = options.name || 'series';
 
-		let content = [name, ...this._data].join('\n');
+		const df = new DataFrame(this._data.map(value => ({ [name]: value })), { dtype: { [name]: this._dtype } });
+		const content = (options.bom ? '\ufeff' : '') + df._formatCSV({ ...options, columns: [name] });
 		if (!path) return content;
-		eval('require')('fs').writeFileSync(path, content);
+		eval('require')('fs').writeFileSync(path, content, { encoding: options.encoding || 'utf8' });
 	}
 
 	/**
@@ -0,0 +1,318 @@
+'use strict';
+
+const Validator = require('./Validator.js');
+
+
+/**
+* Accessor for vectorized string operations on a Series, available as `Series.str`;
+* N/A values are left as N/A, while empty strings are processed as strings
+* @class
+*/
+
+class StringAccessor {
+
+	/**
+	* @constructor
+	* @hideconstructor
+	* @param {Series} series A Series of strings
+	*/
+	constructor(series) {
+		if (!['string', 'object'].includes(series.dtype))
+			throw new Error(`Error in Series.str: cannot use the string accessor on a Series of type '${series.dtype}'`);
+		this._series = series;
+		this._kw = require('./Kiwis.js');
+	}
+
+	// Empty strings are kept as strings so that e.g. len() returns 0 for them
+	_isNA(value) {
+		return this._kw.isNA(value, { keep: [0, false, ''] });
+	}
+
+	_map(callback, dtype) {
+		const Series = require('./Series.js');
+		return new Series(
+			this._series.toArray().map(value => !this._isNA(value) ? callback(String(value)) : null),
+			{ dtype, index: this._series._index }
+		);
+	}
+
+	/**
+	* Removes whitespace from both ends of each string
+	* @returns {Series}
+	*/
+	trim() {
+		return this._map(string => string.trim(), 'string');
+	}
+
+	/**
+	* Converts each string to lower case
+	* @returns {Series}
+	*/
+	lower() {
+		return this._map(string => string.toLowerCase(), 'string');
+	}
+
+	/**
+	* Converts each string to upper case
+	* @returns {Series}
+	*/
+	upper() {
+		return this._map(string => string.toUpperCase(), 'string');
+	}
+
+	/**
+	* Capitalizes the first letter of each word and lower cases the others
+	* @returns {Series}
+	* @example
+	* kw.Series(['arthur DENT']).str.title(); // Series ['Arthur Dent']
+	*/
+	title() {
+		return this._map(
+			string => string.toLowerCase().replace(/(^|[^\p{L}\p{N}'])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase()),
+			'string'
+		);
+	}
+
+	/**
+	* Tests whether each string contains a pattern
+	* @param {(string|RegExp)} pattern String or regular expression to look for
+	* @param {Object} [options]
+	* @param {boolean} [options.caseSensitive=true] Whether the search is case sensitive
+	* @returns {Series}
+	* @example
+	* // Only keeps the rows whose name contains 'zaphod', whatever the case
+	* df.filter(df.name.str.contains('zaphod', { caseSensitive: false }));
+	*/
+	contains(pattern, options = {}) {
+		StringAccessor._validatePattern('Series.str.contains()', 'pattern', pattern);
+		Validator.options('Series.str.contains()', options, [
+			{ key: 'caseSensitive', type: 'boolean' }
+		]);
+
+		const caseSensitive = options.caseSensitive !== undefined ? options.caseSensitive : true;
+
+		if (pattern instanceof RegExp) {
+			const regex = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, '') + (caseSensitive ? '' : 'i'));
+			return this._map(string => regex.test(string), 'boolean');
+		}
+		if (!caseSensitive)
+			return this._map(string => string.toLowerCase().includes(pattern.toLowerCase()), 'boolean');
+		return this._map(string => string.includes(pattern), 'boolean');
+	}
+
+	/**
+	* Tests whether each string starts with a prefix
+	* @param {string} prefix Prefix to look for
+	* @returns {Series}
+	*/
+	startsWith(prefix) {
+		Validator.string('Series.str.startsWith()', 'prefix', prefix);
+		return this._map(string => string.startsWith(prefix), 'boolean');
+	}
+
+	/**
+	* Tests whether each string ends with a suffix
+	* @param {string} suffix Suffix to look for
+	* @returns {Series}
+	*/
+	endsWith(suffix) {
+		Validator.string('Series.str.endsWith()', 'suffix', suffix);
+		return this._map(string => string.endsWith(suffix), 'boolean');
+	}
+
+	/**
+	* Replaces occurrences of a pattern in each string
+	* @param {(string|RegExp)} pattern String to replace (all its occurrences are replaced) or regular expression
+	* @param {(string|callback)} replacement Replacement string or function, as used by `String.prototype.replace()`
+	* @returns {Series}
+	* @example
+	* // Removes all digits
+	* series.str.replace(/\d/g, '');
+	*/
+	replace(pattern, replacement) {
+		StringAccessor._validatePattern('Series.str.replace()', 'pattern', pattern);
+		if (typeof replacement !== 'function')
+			Validator.string('Series.str.replace()', 'replacement', replacement);
+
+		if (pattern instanceof RegExp)
+			return this._map(string => string.replace(pattern, replacement), 'string');
+		const regex = new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+		return this._map(string => string.replace(regex, replacement), 'string');
+	}
+
+	/**
+	* Extracts the capture groups of a regular expression from each string into a DataFrame,
+	* with one column per group, named after the group if it is named or after its position otherwise
+	* @param {RegExp} regex Regular expression containing at least one capture group
+	* @returns {DataFrame}
+	* @example
+	* // Splits codes such as 'AB-1234' into their letters and their number
+	* series.str.extract(/(?<letters>[A-Z]+)-(?<number>\d+)/);
+	*/
+	extract(regex) {
+		Validator.instanceOf('Series.str.extract()', 'regex', regex, 'RegExp', RegExp);
+
+		const groups = new RegExp(`${regex.source}|`).exec('').length - 1;
+		if (groups === 0)
+			throw new Error('Invalid argument in Series.str.extract(): \'regex\' must contain at least one capture group');
+		const names = [...Array(groups).keys()].map(index => index.toString());
+		(regex.source.match(/\((?!\?[:=!]|\?<[=!])(\?<([^>]+)>)?/g) || [])
+			.forEach((group, index) => {
+				const name = group.match(/^\(\?<([^>]+)>/);
+				if (name && index < groups) names[index] = name[1];
+			});
+
+		const matcher = new RegExp(regex.source, regex.flags.replace(/[gy]/g, ''));
+		const DataFrame = require('./DataFrame.js');
+		const dtypes = {};
+		names.forEach(name => dtypes[name] = 'string');
+		const df = new DataFrame(this._series.toArray().map(value => {
+			const match = !this._isNA(value) ? matcher.exec(String(value)) : null;
+			const row = {};
+			names.forEach((name, index) => row[name] = match && match[index + 1] !== undefined ? match[index + 1] : null);
+			return row;
+		}), { dtype: dtypes });
+		df.columns = names;
+		return df;
+	}
+
+	/**
+	* Splits each string around a separator
+	* @param {(string|RegExp)} separator String or regular expression to split around
+	* @param {Object} [options]
+	* @param {boolean} [options.expand=false] Returns a DataFrame with one column per part instead of a Series of arrays
+	* @param {number} [options.limit] Maximum number of splits, the rest of the string being kept in the last part
+	* @returns {(Series|DataFrame)}
+	* @example
+	* // Splits full names into first names and last names
+	* df.name.str.split(' ', { limit: 1, expand: true });
+	*/
+	split(separator, options = {}) {
+		StringAccessor._validatePattern('Series.str.split()', 'separator', separator);
+		Validator.options('Series.str.split()', options, [
+			{ key: 'expand', type: 'boolean' },
+			{ key: 'limit', type: 'number' }
+		]);
+		if (options.limit !== undefined)
+			Validator.integer('Series.str.split()', 'limit', options.limit);
+
+		const expand = options.expand || false;
+		const limit = options.limit;
+
+		const splitter = separator instanceof RegExp
+			? new RegExp(separator.source, separator.flags.replace(/[y]/g, '') + (separator.global ? '' : 'g'))
+			: new RegExp(separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+		const split = string => {
+			const parts = [];
+			let start = 0;
+			splitter.lastIndex = 0;
+			let match;
+			while ((limit === undefined || parts.length < limit) && (match = splitter.exec(string)) !== null) {
+				if (match[0] === '') {
+					splitter.lastIndex++;
+					continue;
+				}
+				parts.push(string.slice(start, match.index));
+				start = match.index + match[0].length;
+			}
+			parts.push(string.slice(start));
+			return parts;
+		};
+
+		const series = this._map(split, 'object');
+		if (!expand)
+			return series;
+
+		const DataFrame = require('./DataFrame.js');
+		const parts = series.toArray();
+		let width = 0;
+		parts.forEach(part => {
+			if (part && part.length > width) width = part.length;
+		});
+		const names = [...Array(width).keys()].map(index => index.toString());
+		const dtypes = {};
+		names.forEach(name => dtypes[name] = 'string');
+		const df = new DataFrame(parts.map(part => {
+			const row = {};
+			names.forEach((name, index) => row[name] = part && index < part.length ? part[index] : null);
+			return row;
+		}), { dtype: dtypes });
+		df.columns = names;
+		return df;
+	}
+
+	/**
+	* Pads each string up to a given width
+	* @param {number} width Minimal length of the resulting strings
+	* @param {Object} [options]
+	* @param {('left'|'right'|'both')} [options.side='left'] Side on which to add the padding
+	* @param {string} [options.fillChar=' '] Character used for the padding
+	* @returns {Series}
+	* @example
+	* // Formats numbers as zero-padded codes
+	* series.str.pad(5, { fillChar: '0' });
+	*/
+	pad(width, options = {}) {
+		Validator.integer('Series.str.pad()', 'width', width);
+		Validator.options('Series.str.pad()', options, [
+			{ key: 'side', type: 'string', enum: ['left', 'right', 'both'] },
+			{ key: 'fillChar', type: 'string' }
+		]);
+
+		const side = options.side || 'left';
+		const fillChar = options.fillChar !== undefined ? options.fillChar : ' ';
+		if (fillChar.length !== 1)
+			throw new Error('Invalid option in Series.str.pad(): \'fillChar\' must be a single character');
+
+		return this._map(string => {
+			if (side === 'left') return string.padStart(width, fillChar);
+			if (side === 'right') return string.padEnd(width, fillChar);
+			const left = Math.floor(Math.max(0, width - string.length) / 2);
+			return string.padStart(string.length + left, fillChar).padEnd(width, fillChar);
+		}, 'string');
+	}
+
+	/**
+	* Extracts a section of each string
+	* @param {number} start Index of the first character, counted from the end if negative
+	* @param {number} [end] Index after the last character, counted from the end if negative
+	* @returns {Series}
+	* @example
+	* // Keeps the first three characters of each string
+	* series.str.slice(0, 3);
+	*/
+	slice(start, end) {
+		Validator.integer('Series.str.slice()', 'start', start);
+		if (end !== undefined)
+			Validator.integer('Series.str.slice()', 'end', end);
+		return this._map(string => string.slice(start, end), 'string');
+	}
+
+	/**
+	* Computes the length of each string
+	* @returns {Series}
+	*/
+	len() {
+		return this._map(string => string.length, 'number');
+	}
+
+	/**
+	* Removes accents and other diacritics from each string
+	* @returns {Series}
+	* @example
+	* kw.Series(['Crème brûlée']).str.normalize(); // Series ['Creme brulee']
+	*/
+	normalize() {
+		return this._map(string => string.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC'), 'string');
+	}
+
+	static _validatePattern(method, name, pattern) {
+		if (pattern === undefined)
+			throw new Error(`Missing argument in ${method}: '${name}' is required`);
+		if (typeof pattern !== 'string' && !(pattern instanceof RegExp))
+			throw new Error(`Invalid argument in ${method}: '${name}' must be a string or a regular expression`);
+	}
+
+}
+
+module.exports = StringAccessor;
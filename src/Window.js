@@ -0,0 +1,268 @@
+'use strict';
+
+const d3 = require('d3-array');
+
+const DTypes = require('./DTypes.js');
+const Validator = require('./Validator.js');
+
+
+/**
+* Moving window over a Series, the columns of a DataFrame or the groups of a PivotTable,
+* returned by `rolling()`, `expanding()` and `ewm()`
+* @class
+*/
+
+class Window {
+
+	/**
+	* @constructor
+	* @hideconstructor
+	* @param {(Series|DataFrame|PivotTable)} source Series, DataFrame or PivotTable to compute the window on
+	* @param {string} kind Kind of window: 'rolling', 'expanding' or 'ewm'
+	* @param {string} method Name of the method which created the window, for error messages
+	* @param {Object} options Options of the window
+	*/
+	constructor(source, kind, method, options) {
+		this._source = source;
+		this._kind = kind;
+		this._method = method;
+		this._options = options;
+
+		if (options.minPeriods !== undefined) {
+			Validator.integer(method, 'minPeriods', options.minPeriods, { range: [0, Infinity] });
+			if (kind === 'rolling' && options.minPeriods > options.window)
+				throw new Error(`Invalid option in ${method}: 'minPeriods' cannot be greater than the window`);
+		}
+	}
+
+	/**
+	* Computes the sum of the values in each window
+	* @returns {(Series|DataFrame)}
+	*/
+	sum() {
+		return this._compute('sum', Window._running(state => state.sum));
+	}
+
+	/**
+	* Computes the mean of the values in each window
+	* @returns {(Series|DataFrame)}
+	*/
+	mean() {
+		if (this._kind === 'ewm')
+			return this._compute('mean', values => this._ewm(values, state => state.mean));
+		return this._compute('mean', Window._running(state => state.mean));
+	}
+
+	/**
+	* Computes the standard deviation of the values in each window
+	* @returns {(Series|DataFrame)}
+	*/
+	std() {
+		if (this._kind === 'ewm')
+			return this._compute('std', values => this._ewm(values, state => state.std));
+		return this._compute('std', Window._running(state => {
+			if (state.count < 2) return null;
+			return Math.sqrt(Math.max(0, state.squaredDeviations / (state.count - 1)));
+		}));
+	}
+
+	/**
+	* Computes the minimum value in each window
+	* @returns {(Series|DataFrame)}
+	*/
+	min() {
+		return this._compute('min', Window._extremum((a, b) => a <= b));
+	}
+
+	/**
+	* Computes the maximum value in each window
+	* @returns {(Series|DataFrame)}
+	*/
+	max() {
+		return this._compute('max', Window._extremum((a, b) => a >= b));
+	}
+
+	/**
+	* Computes the median of the values in each window
+	* @returns {(Series|DataFrame)}
+	*/
+	median() {
+		return this.apply(values => d3.median(values));
+	}
+
+	/**
+	* Applies a callback function to the values of each window
+	* @param {callback} callback Function receiving the array of non-N/A values of the window
+	* @returns {(Series|DataFrame)}
+	* @example
+	* // Computes the range of values over a rolling window of 7 values
+	* series.rolling(7).apply(values => Math.max(...values) - Math.min(...values));
+	*/
+	apply(callback) {
+		Validator.function(`${this._method}.apply()`, 'callback', callback);
+		return this._compute('apply', (values, bounds, minPeriods) => bounds.map(([start, end]) => {
+			const window = values.slice(start, end).filter(value => value !== null);
+			return window.length >= minPeriods && window.length > 0 ? callback(window) : null;
+		}));
+	}
+
+	_compute(name, callback) {
+		if (this._kind === 'ewm' && !['mean', 'std'].includes(name))
+			throw new Error(`Error in ${this._method}.${name}(): only mean() and std() are available on exponentially weighted windows`);
+
+		const Series = require('./Series.js');
+		const DataFrame = require('./DataFrame.js');
+
+		const toNumbers = values => values.map(value => !DTypes.isBlank(value) && !Number.isNaN(+value) ? +value : null);
+		const computeValues = values => {
+			const numbers = toNumbers(values);
+			return callback(numbers, this._bounds(numbers.length), this._minPeriods());
+		};
+
+		if (this._source instanceof Series)
+			return new Series(computeValues(this._source.toArray()), { dtype: 'number', index: this._source._index });
+
+		const df = this._source instanceof DataFrame ? this._source : this._source._original;
+		return df._transform(
+			this._options.columns,
+			series => new Series(computeValues(series.toArray()), { dtype: 'number' }),
+			this._source instanceof DataFrame ? [] : this._source._pivots
+		);
+	}
+
+	_minPeriods() {
+		if (this._options.minPeriods !== undefined)
+			return this._options.minPeriods;
+		return this._kind === 'rolling' ? this._options.window : 1;
+	}
+
+	// Returns the [start, end) bounds of the window for each index
+	_bounds(length) {
+		const bounds = [];
+		for (let index = 0; index < length; index++) {
+			if (this._kind !== 'rolling') {
+				bounds.push([0, index + 1]);
+				continue;
+			}
+			const window = this._options.window;
+			const shift = this._options.center ? window - 1 - Math.floor(window / 2) : 0;
+			const end = index + shift + 1;
+			bounds.push([Math.max(0, end - window), Math.min(length, end)]);
+		}
+		return bounds;
+	}
+
+	// Running statistics, updated in O(1) when values enter or leave the window;
+	// squared deviations from the mean are updated with Welford's method, which avoids the cancellation of sums of squares
+	static _running(reducer) {
+		return (values, bounds, minPeriods) => {
+			const state = { count: 0, sum: 0, mean: 0, squaredDeviations: 0 };
+			let start = 0;
+			let end = 0;
+			return bounds.map(([newStart, newEnd]) => {
+				for (; end < newEnd; end++) {
+					if (values[end] === null) continue;
+					state.count++;
+					state.sum += values[end];
+					const delta = values[end] - state.mean;
+					state.mean += delta / state.count;
+					state.squaredDeviations += delta * (values[end] - state.mean);
+				}
+				for (; start < newStart; start++) {
+					if (values[start] === null) continue;
+					state.count--;
+					state.sum -= values[start];
+					if (state.count === 0) {
+						state.mean = 0;
+						state.squaredDeviations = 0;
+						continue;
+					}
+					const delta = values[start] - state.mean;
+					state.mean -= delta / state.count;
+					state.squaredDeviations = Math.max(0, state.squaredDeviations - delta * (values[start] - state.mean));
+				}
+				return state.count >= minPeriods && state.count > 0 ? reducer(state) : null;
+			});
+		};
+	}
+
+	// Monotonic queue of indexes, keeping the extremum of the window first
+	static _extremum(isBefore) {
+		return (values, bounds, minPeriods) => {
+			const queue = [];
+			let head = 0;
+			let count = 0;
+			let start = 0;
+			let end = 0;
+			return bounds.map(([newStart, newEnd]) => {
+				for (; end < newEnd; end++) {
+					if (values[end] === null) continue;
+					count++;
+					while (queue.length > head && !isBefore(values[queue[queue.length - 1]], values[end]))
+						queue.pop();
+					queue.push(end);
+				}
+				for (; start < newStart; start++) {
+					if (values[start] === null) continue;
+					count--;
+					if (queue[head] === start) head++;
+				}
+				return count >= minPeriods && count > 0 ? values[queue[head]] : null;
+			});
+		};
+	}
+
+	_ewm(values, reducer) {
+		const minPeriods = this._minPeriods();
+		const alpha = this._options.alpha;
+		const adjust = this._options.adjust !== undefined ? this._options.adjust : true;
+
+		// Weighted statistics, the weights of past values decaying by (1 - alpha) at each step;
+		// squared deviations from the weighted mean are updated incrementally, as in Welford's method
+		const state = { count: 0, weights: 0, squaredWeights: 0, weightedMean: 0, squaredDeviations: 0, mean: null, std: null };
+		return values.map(value => {
+			state.weights *= 1 - alpha;
+			state.squaredWeights *= (1 - alpha) * (1 - alpha);
+			state.squaredDeviations *= 1 - alpha;
+			if (value !== null) {
+				state.count++;
+				state.weights += 1;
+				state.squaredWeights += 1;
+				const delta = value - state.weightedMean;
+				state.weightedMean += delta / state.weights;
+				state.squaredDeviations += delta * (value - state.weightedMean);
+				if (adjust)
+					state.mean = state.weightedMean;
+				else
+					state.mean = state.mean === null ? value : (1 - alpha) * state.mean + alpha * value;
+				const correction = state.weights * state.weights - state.squaredWeights;
+				state.std = correction > 0
+					? Math.sqrt(Math.max(0, state.squaredDeviations) * state.weights / correction)
+					: null;
+			}
+			return state.count >= minPeriods && state.count > 0 ? reducer(state) : null;
+		});
+	}
+
+	static _alpha(method, options) {
+		const parameters = ['alpha', 'span', 'halfLife'].filter(key => options[key] !== undefined);
+		if (parameters.length !== 1)
+			throw new Error(`Invalid option in ${method}: exactly one of 'alpha', 'span' or 'halfLife' is required`);
+		if (options.alpha !== undefined) {
+			if (options.alpha <= 0 || options.alpha > 1)
+				throw new Error(`Invalid option in ${method}: 'alpha' must be between 0 (excluded) and 1`);
+			return options.alpha;
+		}
+		if (options.span !== undefined) {
+			if (options.span < 1)
+				throw new Error(`Invalid option in ${method}: 'span' must be greater than or equal to 1`);
+			return 2 / (options.span + 1);
+		}
+		if (options.halfLife <= 0)
+			throw new Error(`Invalid option in ${method}: 'halfLife' must be positive`);
+		return 1 - Math.exp(Math.log(0.5) / options.halfLife);
+	}
+
+}
+
+module.exports = Window;